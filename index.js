@@ -5,110 +5,125 @@ const winston = require('winston');
 const DailyRotateFile = require('winston-daily-rotate-file');
 const chalk = require('chalk');
 const cliProgress = require('cli-progress');
+const { FeeStrategy } = require('./src/lib/fees');
+const { loadArtifact } = require('./src/lib/artifacts');
+const { resolveNetwork, formatExplorerTxUrl } = require('./src/lib/network');
+const { RpcPool } = require('./src/lib/rpc');
+const { Journal, reconcileTransaction } = require('./src/lib/journal');
+const { ContractRegistry } = require('./src/lib/registry');
+const { NonceManager } = require('./src/lib/nonce');
+const { withLogContext, getLogContext } = require('./src/lib/context');
+const { ClassifiedError, classifyError, resolveErrorPolicies } = require('./src/lib/errors');
+const { TransactionSupervisor } = require('./src/lib/supervisor');
+const { WalletReport, writeCycleReport } = require('./src/lib/report');
+const { loadWallets } = require('./src/lib/wallets');
+const { redact } = require('./src/lib/secrets');
+const { readConfigFile, resolveConfig } = require('./src/lib/config');
+const { ShutdownError, isShuttingDown, assertNotShuttingDown, sleep } = require('./src/lib/shutdown');
+const { BalanceGuard } = require('./src/lib/preflight');
+const { ExplorerVerifier } = require('./src/lib/verifier');
+const { jsonLogFormat } = require('./src/lib/logs');
+const { Notifier } = require('./src/lib/notify');
+const { loadTasks, planTasks, getBudget, limitSteps } = require('./src/lib/tasks');
+const { ERC20_ABI, WCBTC_ABI, NATIVE_SYMBOL, TokenRegistry, formatAmount } = require('./src/lib/tokens');
+const { AllowanceManager, checkCaps, formatAllowance } = require('./src/lib/allowances');
+const { loadTemplates, generateConstructorArgs } = require('./src/lib/templates');
 
-// Retry configuration
-const RETRY_CONFIG = {
-    maxAttempts: 3,
-    initialDelay: 1000, // 1 second
-    maxDelay: 10000, // 10 seconds
-    backoffFactor: 2,
-};
+// Error recovery policies per category (replaced from config.json "errors" at startup)
+let ERROR_POLICIES = resolveErrorPolicies();
+
+const RETRY_STRATEGIES = ['backoff', 'refresh_nonce', 'bump_fee'];
 
-// Helper function for exponential backoff retry
-async function withRetry(operation, { maxAttempts, initialDelay, maxDelay, backoffFactor } = RETRY_CONFIG) {
-    let lastError;
-    let delay = initialDelay;
+// Helper function to retry an operation according to the recovery strategy of each
+// error's category. `hooks.refreshNonce` / `hooks.bumpFee` run before the next attempt.
+async function withRetry(operation, hooks = {}) {
+    const attempts = {};
+    const delays = {};
 
-    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    while (true) {
         try {
             return await operation();
         } catch (error) {
-            lastError = error;
-            
-            // Check if error is retryable
-            if (!isRetryableError(error) || attempt === maxAttempts) {
-                throw error;
+            // Already handled by a nested withRetry, or the bot is shutting down
+            if (error instanceof ClassifiedError || error instanceof ShutdownError) throw error;
+
+            const { category, reason } = classifyError(error);
+            const policy = ERROR_POLICIES[category];
+            attempts[category] = (attempts[category] || 0) + 1;
+
+            if (!RETRY_STRATEGIES.includes(policy.strategy)) {
+                throw new ClassifiedError(error, { category, strategy: policy.strategy, reason });
+            }
+            if (attempts[category] >= policy.max_attempts) {
+                throw new ClassifiedError(error, { category, strategy: policy.on_exhausted, reason });
+            }
+
+            if (policy.strategy === 'refresh_nonce' && hooks.refreshNonce) {
+                await hooks.refreshNonce();
+            } else if (policy.strategy === 'bump_fee' && hooks.bumpFee) {
+                await hooks.bumpFee(policy.bump_percent);
             }
 
-            // Log retry attempt
-            logger.warn(`Operation failed, retrying (${attempt}/${maxAttempts})`, {
-                error: error.message,
-                attempt,
+            const delay = delays[category] ?? policy.initial_delay;
+            logger.warn(`Operation failed, retrying (${attempts[category]}/${policy.max_attempts})`, {
+                category,
+                strategy: policy.strategy,
+                error: reason || error.message,
                 nextRetryDelay: delay/1000
             });
 
-            // Wait before retry
+            // Wait before retry, with exponential backoff per category
             await sleep(delay);
-            
-            // Calculate next delay with exponential backoff
-            delay = Math.min(delay * backoffFactor, maxDelay);
+            delays[category] = Math.min(delay * (policy.backoff_factor || 1), policy.max_delay || delay);
         }
     }
-    throw lastError;
 }
 
-// Helper function to determine if an error is retryable
-function isRetryableError(error) {
-    const retryableErrors = [
-        'timeout',
-        'network error',
-        'nonce too low',
-        'transaction underpriced',
-        'insufficient funds for gas',
-        'replacement fee too low',
-        'rate limit exceeded',
-        'Internal JSON-RPC error',
-        'connection reset',
-        'too many requests'
-    ];
-
-    const errorMessage = error.message.toLowerCase();
-    return retryableErrors.some(msg => errorMessage.includes(msg.toLowerCase()));
-}
+// Network configuration (replaced by the selected profile from config.json at startup)
+let NETWORK = resolveNetwork();
 
-// Network configuration
-const NETWORK = {
-    chainId: 5115,
-    rpc: 'https://rpc.testnet.citrea.xyz',
-    router: '0xb45670f668EE53E62b5F170B5B1d3C6701C8d03A',
-    WCBTC: '0x8d0c9d1c17ae5e40fff9be350f57840e9e66cd93',
-    USDC: '0xb669dc8cc6d044307ba45366c0c836ec3c7e31aa'
-};
+// Tokens of the selected network; symbols and decimals are cached across wallets
+let TOKENS = new TokenRegistry(NETWORK);
+
+// Wallets to process, loaded from the configured source by getWallets()
+let WALLETS = null;
 
 // Router ABI
 const ROUTER_ABI = [
     'function swapExactETHForTokens(uint amountOutMin, address[] calldata path, address to, uint deadline) external payable returns (uint[] memory amounts)',
     'function swapExactTokensForETH(uint amountIn, uint amountOutMin, address[] calldata path, address to, uint deadline) external returns (uint[] memory amounts)',
-    'function WETH() external pure returns (address)'
+    'function swapExactTokensForTokens(uint amountIn, uint amountOutMin, address[] calldata path, address to, uint deadline) external returns (uint[] memory amounts)',
+    'function WETH() external pure returns (address)',
+    'function getAmountsOut(uint amountIn, address[] memory path) public view returns (uint[] memory amounts)'
 ];
 
-// Contract Templates
-const CONTRACTS = {
-    ERC20: {
-        name: "SimpleERC20",
-        code: fs.readFileSync('./src/contracts/SimpleERC20.sol', 'utf8')
-    },
-    SimpleStorage: {
-        name: "SimpleStorage",
-        code: fs.readFileSync('./src/contracts/SimpleStorage.sol', 'utf8')
-    },
-    NFTMinter: {
-        name: "NFTMinter",
-        code: fs.readFileSync('./src/contracts/NFTMinter.sol', 'utf8')
-    },
-    SimpleSwap: {
-        name: "SimpleSwap",
-        code: fs.readFileSync('./src/contracts/SimpleSwap.sol', 'utf8')
-    }
+// Default swap protection settings (overridable via tasks.swap.settings)
+const SWAP_DEFAULTS = {
+    slippage_bps: 50,
+    deadline_seconds: 1200,
+    max_price_impact_bps: 500
 };
 
-// Custom formatter for winston
+const TRANSFER_TOPIC = ethers.utils.id('Transfer(address,address,uint256)');
+
+// Contract templates, discovered from the *.template.json manifests in src/contracts
+// (compiled into src/artifacts by `npm run compile`)
+const CONTRACTS = loadTemplates();
+
+// Contract types interactWithContract() knows how to call
+const INTERACTIVE_TYPES = ['SimpleStorage', 'NFTMinter', 'ERC20', 'SimpleSwap'];
+
+// Colored console output; the log files get plain JSON lines (see enableFileLogging)
 const customFormat = winston.format.printf(({ timestamp, level, message, ...metadata }) => {
     const walletInfo = metadata.walletIndex ? chalk.yellow(` - Wallet ${metadata.walletIndex}`) : '';
     const time = chalk.gray(`[${timestamp}]`);
     
     let coloredMessage = message;
-    if (message.includes('started')) {
+    if (level === 'error') {
+        coloredMessage = chalk.red(message);
+    } else if (level === 'warn') {
+        coloredMessage = chalk.yellow(message);
+    } else if (message.includes('started')) {
         coloredMessage = chalk.green(message);
     } else if (message.includes('waiting')) {
         coloredMessage = chalk.yellow(message);
@@ -122,7 +137,8 @@ const customFormat = winston.format.printf(({ timestamp, level, message, ...meta
         coloredMessage += ` : ${chalk.cyan((metadata.address))}`;
     }
 
-    const { walletIndex, address, timestamp: ts, ...restMetadata } = metadata;
+    // The cycle, wallet and task context is only written to the log files
+    const { walletIndex, address, timestamp: ts, cycleId, wallet, task, iteration, ...restMetadata } = metadata;
 
     const details = Object.entries(restMetadata)
         .map(([key, value]) => {
@@ -132,7 +148,7 @@ const customFormat = winston.format.printf(({ timestamp, level, message, ...meta
                     .join(', ')}]`);
             }
             if (key === 'amount') return chalk.green(`Amount: ${value}`);
-            if (key === 'txHash') return chalk.blue(`Tx: https://explorer.testnet.citrea.xyz/tx/${(value)}`);
+            if (key === 'txHash') return chalk.blue(`Tx: ${formatExplorerTxUrl(NETWORK, value) || value}`);
             if (key === 'contractType') return chalk.magenta(`Contract: ${value}`);
             if (key === 'walletsCount') return chalk.cyan(`Wallets: ${value}`);
             return `${key}: ${value}`;
@@ -143,57 +159,48 @@ const customFormat = winston.format.printf(({ timestamp, level, message, ...meta
     return `${time}${walletInfo} ${coloredMessage}${details ? chalk.gray(' | ') + details : ''}`;
 });
 
+// Attach the current wallet context (see withLogContext) to every log entry
+const injectLogContext = winston.format((info) => {
+    Object.entries(getLogContext()).forEach(([key, value]) => {
+        if (info[key] === undefined) info[key] = value;
+    });
+    return info;
+});
+
+// Mask private keys, mnemonics and passwords that end up in messages or metadata
+const redactSecrets = winston.format((info) => {
+    Object.keys(info).forEach(key => {
+        if (typeof info[key] === 'string') info[key] = redact(info[key]);
+    });
+    return info;
+});
+
 // Logger configuration
 const logger = winston.createLogger({
     level: 'info',
     format: winston.format.combine(
-        winston.format.timestamp({
-            format: 'DD/MM/YYYY - HH:mm:ss'
-        }),
-        customFormat
+        injectLogContext(),
+        redactSecrets()
     ),
+    // File logging is added by enableFileLogging() so requiring this module writes nothing
     transports: [
-        new winston.transports.Console(),
-        new DailyRotateFile({
-            filename: 'logs/citrea-%DATE%.log',
-            datePattern: 'YYYY-MM-DD',
-            maxSize: '20m',
-            maxFiles: '14d'
+        new winston.transports.Console({
+            format: winston.format.combine(
+                winston.format.timestamp({
+                    format: 'DD/MM/YYYY - HH:mm:ss'
+                }),
+                customFormat
+            )
         })
     ]
 });
 
-// Sleep function
-const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+// Failure and cycle notifications (replaced from config.json "notifications" at startup)
+let NOTIFIER = new Notifier({}, { logger });
 
-const TOKEN_PREFIXES = [
-    'Nakama', 'Meme', 'Pepe', 'Doge', 'Inu', 'Moon', 'Star', 'Cyber',
-    'Meta', 'Pixel', 'Crypto', 'Chain', 'Web3', 'Defi', 'Space'
-];
-
-const TOKEN_SUFFIXES = [
-    'Me', 'Verse', 'World', 'X', 'AI', 'Net', 'Hub', 'Lab',
-    'DAO', 'Fi', 'Swap', 'Base', 'Zone', 'Port', 'Grid'
-];
-
-function generateTokenName() {
-    const prefix = TOKEN_PREFIXES[Math.floor(Math.random() * TOKEN_PREFIXES.length)];
-    const suffix = TOKEN_SUFFIXES[Math.floor(Math.random() * TOKEN_SUFFIXES.length)];
-    return `${prefix} ${suffix}`;
-}
-
-function generateTokenSymbol(name) {
-    const words = name.split(' ');
-    if (words.length === 1) {
-        return name.substring(0, Math.min(4, name.length)).toUpperCase();
-    }
-    let symbol = words.map(word => word[0]).join('');
-    if (symbol.length < 3) {
-        const lastWord = words[words.length - 1];
-        symbol += lastWord.substring(1, 4 - symbol.length);
-    }
-    return symbol.toUpperCase();
-}
+// RPC endpoints of the selected network, shared by every wallet (replaced from
+// config.json "networks" and "rpc" at startup)
+let PROVIDER = new RpcPool(NETWORK, {}, { logger });
 
 function getRandomNumber(min, max, decimals = 18) {
     const multiplier = Math.pow(10, decimals);
@@ -201,16 +208,237 @@ function getRandomNumber(min, max, decimals = 18) {
     return Math.floor(randomValue * multiplier) / multiplier;
 }
 
+// Constructor arguments for a contract template, from the generators in its manifest.
+// `address` is the deploying wallet; `registry` holds the contracts it deployed before.
+function getConstructorArgs(contractType, settings = {}, { address = null, registry = null } = {}) {
+    const template = CONTRACTS[contractType];
+    if (!template) {
+        throw new Error(`Contract ${contractType} not found`);
+    }
+
+    const { args, values } = generateConstructorArgs(template, {
+        settings,
+        address,
+        deployed: type => (registry && address ? registry.list(NETWORK.chainId, address, [type]) : [])
+    });
+    if (args.length > 0) {
+        logger.info(`Generated ${contractType} constructor arguments`, {
+            args: Object.entries(values).map(([name, value]) => `${name}=${value}`).join(', ')
+        });
+    }
+    return args;
+}
+
 // CitreaBot Class
 class CitreaBot {
-    constructor(privateKey) {
-        this.provider = new ethers.providers.JsonRpcProvider(NETWORK.rpc);
-        this.wallet = new ethers.Wallet(privateKey, this.provider);
+    // `signer` is an ethers Wallet (or a private key string) that gets connected to the network
+    constructor(signer, config = {}, { dryRun = false, registry = null } = {}) {
+        this.provider = PROVIDER;
+        this.wallet = (typeof signer === 'string' ? new ethers.Wallet(signer) : signer).connect(this.provider);
         this.router = new ethers.Contract(NETWORK.router, ROUTER_ABI, this.wallet);
+        this.fees = new FeeStrategy(this.provider, config.fees);
+        this.nonces = new NonceManager(this.wallet);
+        this.supervisor = new TransactionSupervisor(this.wallet, this.fees, config.stuck_transactions, { logger });
+        this.guard = new BalanceGuard(this.wallet, this.fees, config.preflight, { logger });
+        this.allowances = new AllowanceManager(this.provider, config.approvals, { tokens: TOKENS });
+
+        const swapSettings = (config.tasks && config.tasks.swap && config.tasks.swap.settings) || {};
+        this.swapSettings = {
+            slippage_bps: swapSettings.slippage_bps ?? SWAP_DEFAULTS.slippage_bps,
+            deadline_seconds: swapSettings.deadline_seconds ?? SWAP_DEFAULTS.deadline_seconds,
+            max_price_impact_bps: swapSettings.max_price_impact_bps ?? SWAP_DEFAULTS.max_price_impact_bps
+        };
+
+        // In dry-run mode nothing is broadcast, transactions are recorded in `plan` instead
+        this.dryRun = dryRun;
+        this.plan = [];
+
+        // Called with every broadcast transaction so callers can journal the hash
+        this.onTransaction = null;
+
+        // Depth of nested retry() calls, and the nonce and hashes of a send that failed
+        this.retryDepth = 0;
+        this.unsent = null;
+
+        // Deployed contracts are recorded here for later interaction
+        this.registry = registry;
+
+        // Deployed contracts are submitted for source verification when the network has an explorer API
+        const verification = config.verification || {};
+        this.verifier = verification.enabled && NETWORK.explorerApiUrl
+            ? new ExplorerVerifier(NETWORK.explorerApiUrl, verification, { logger })
+            : null;
+
+        // Transactions, gas and deployments of this wallet for the cycle report
+        this.report = new WalletReport(this.wallet.address);
+    }
+
+    // `primary` is false for auxiliary transactions such as approvals
+    trackTransaction(tx, { primary = true } = {}) {
+        if (this.onTransaction) this.onTransaction(tx, { primary });
+        return tx;
+    }
+
+    // withRetry with this wallet's nonce and fee recovery hooks. Nested retries share
+    // the fee bump, which only the outermost one clears. A nonce kept for a failed
+    // send is given back once the outermost retry ends without sending it.
+    async retry(operation) {
+        this.retryDepth++;
+        try {
+            return await withRetry(operation, {
+                refreshNonce: () => {
+                    this.unsent = null;
+                    this.nonces.reset();
+                },
+                bumpFee: (percent) => this.fees.bump(percent)
+            });
+        } finally {
+            if (--this.retryDepth === 0) {
+                this.fees.resetBump();
+                if (this.unsent) {
+                    this.unsent = null;
+                    this.nonces.reset();
+                }
+            }
+        }
+    }
+
+    // Allocate fees and a nonce for a transaction, then broadcast it through `send`.
+    // The nonce of a failed send is kept for the next attempt, so a resend can only
+    // replace a transaction the node accepted after all and never adds a second one.
+    // Transactions whose maximum cost (fees plus `value`) exceeds the spendable balance are refused.
+    async broadcast(task, estimate, send, { primary = true, value = 0 } = {}) {
+        assertNotShuttingDown();
+        const overrides = await this.fees.getOverrides(task, estimate);
+        await this.guard.assertAffordable(task, overrides, value);
+        if (!this.unsent) this.unsent = { nonce: await this.nonces.next(), hashes: [] };
+        overrides.nonce = this.unsent.nonce;
+
+        let tx;
+        try {
+            tx = await send(overrides);
+        } catch (error) {
+            if (error.transactionHash) this.unsent.hashes.push(error.transactionHash);
+            tx = await this.findAccepted(error);
+            if (!tx) throw error;
+        }
+        this.unsent = null;
+        this.report.recordSent(task);
+        return this.trackTransaction(tx, { primary });
+    }
+
+    // The transaction a failed send left on the node: the response got lost, or a resend
+    // was refused as "already known" or "nonce too low" because an earlier attempt went through
+    async findAccepted(error) {
+        const lost = classifyError(error).category === 'network';
+        if (!lost && !/already known|known transaction|nonce too low/i.test(error.message)) return null;
+
+        for (const hash of [...this.unsent.hashes].reverse()) {
+            const tx = await withRetry(() => this.provider.getTransaction(hash)).catch(() => null);
+            if (tx) {
+                logger.warn('Transaction was accepted despite the failed send', { txHash: hash, nonce: tx.nonce, error: error.message });
+                return tx;
+            }
+        }
+        return null;
+    }
+
+    // Wait for a broadcast transaction through the stuck-transaction supervisor.
+    // Replacements are tracked like the original so the journal follows the live hash.
+    async waitForTransaction(tx, task, { primary = true } = {}) {
+        let tracked = tx.hash;
+        let receipt;
+        try {
+            receipt = await this.supervisor.wait(tx, {
+                task,
+                onReplace: (replacement) => {
+                    tracked = replacement.hash;
+                    this.trackTransaction(replacement, { primary });
+                }
+            });
+        } catch (error) {
+            this.report.recordFailed(task, error.receipt);
+            throw error;
+        }
+
+        this.report.recordMined(task, receipt);
+        if (receipt.transactionHash !== tracked) {
+            this.trackTransaction({ hash: receipt.transactionHash }, { primary });
+        }
+        return receipt;
+    }
+
+    // Simulate a transaction via estimateGas and record it in the dry-run plan
+    async simulate(task, action, estimate, details = {}) {
+        const entry = { task, action, ...details, status: 'ok' };
+
+        try {
+            const { gasLimit, maxFeePerGas } = await this.fees.getOverrides(task, estimate);
+            entry.gasLimit = gasLimit.toString();
+            entry.estimatedCost = ethers.utils.formatEther(gasLimit.mul(maxFeePerGas));
+        } catch (error) {
+            const { category, reason } = classifyError(error);
+            entry.status = category === 'revert' ? 'revert' : 'failed';
+            entry.error = reason || error.message;
+        }
+
+        this.plan.push(entry);
+        logger.info(`Simulated ${action}`, {
+            address: this.wallet.address,
+            status: entry.status,
+            ...(entry.estimatedCost ? { estimatedCost: `${entry.estimatedCost} CBTC` } : {}),
+            ...(entry.error ? { error: entry.error } : {})
+        });
+        return entry;
+    }
+
+    // Record a dry-run step that depends on an earlier, unmined transaction
+    recordUnverified(task, action, reason, details = {}) {
+        const entry = { task, action, ...details, status: 'unverified', error: reason };
+        this.plan.push(entry);
+        logger.info(`Simulated ${action}`, { address: this.wallet.address, status: entry.status });
+        return entry;
+    }
+
+    // Quote a swap on the router and derive amountOutMin / deadline from it.
+    // Price impact is measured against the spot rate of a 1/1000 sized quote.
+    async quoteSwap(amountIn, path) {
+        const amounts = await this.router.getAmountsOut(amountIn, path);
+        const quotedOut = amounts[amounts.length - 1];
+        const spotIn = amountIn.div(1000).gt(0) ? amountIn.div(1000) : amountIn;
+        const spotAmounts = await this.router.getAmountsOut(spotIn, path);
+        const spotOut = spotAmounts[spotAmounts.length - 1].mul(amountIn).div(spotIn);
+
+        const priceImpactBps = spotOut.isZero()
+            ? 10000
+            : spotOut.sub(quotedOut).mul(10000).div(spotOut).toNumber();
+        const amountOutMin = quotedOut.mul(10000 - this.swapSettings.slippage_bps).div(10000);
+        const deadline = Math.floor(Date.now() / 1000) + this.swapSettings.deadline_seconds;
+
+        return { quotedOut, amountOutMin, deadline, priceImpactBps: Math.max(priceImpactBps, 0) };
+    }
+
+    // Read the amount of `token` received by the final hop from the receipt logs
+    getSwapOutput(receipt, token) {
+        const transfers = receipt.logs.filter(log =>
+            log.address.toLowerCase() === token.toLowerCase() && log.topics[0] === TRANSFER_TOPIC
+        );
+        if (transfers.length === 0) return null;
+        return ethers.BigNumber.from(transfers[transfers.length - 1].data);
+    }
+
+    isPriceImpactTooHigh(quote, label) {
+        if (quote.priceImpactBps <= this.swapSettings.max_price_impact_bps) return false;
+        logger.warn(`${label} swap aborted, price impact too high`, {
+            address: this.wallet.address,
+            priceImpact: `${quote.priceImpactBps / 100}%`,
+            maxPriceImpact: `${this.swapSettings.max_price_impact_bps / 100}%`
+        });
+        return true;
     }
 
     async getBalance() {
-        return withRetry(async () => {
+        return this.retry(async () => {
             try {
                 const balance = await this.wallet.getBalance();
                 return ethers.utils.formatEther(balance);
@@ -224,22 +452,47 @@ class CitreaBot {
         });
     }
 
+    // CBTC and USDC balances for the cycle report; null when they cannot be read
+    async getBalances() {
+        try {
+            const USDC = new ethers.Contract(NETWORK.USDC, ERC20_ABI, this.provider);
+            const [cbtc, usdc, { decimals }] = await withRetry(() => Promise.all([
+                this.wallet.getBalance(),
+                USDC.balanceOf(this.wallet.address),
+                TOKENS.get('USDC', this.provider)
+            ]));
+            return { cbtc: ethers.utils.formatEther(cbtc), usdc: ethers.utils.formatUnits(usdc, decimals) };
+        } catch (error) {
+            logger.warn('Failed to read balances for report', { address: this.wallet.address, error: error.message });
+            return null;
+        }
+    }
+
     async selfTransfer(amount) {
-        return withRetry(async () => {
+        return this.retry(async () => {
             try {
-                const tx = await this.wallet.sendTransaction({
+                const value = await this.guard.fitValue('self_transfer', ethers.utils.parseEther(formatAmount(amount, 18)), 'Self transfer');
+                if (!value) return null;
+
+                const txRequest = {
                     to: this.wallet.address,
-                    value: ethers.utils.parseEther(amount.toString()),
+                    value
+                };
+                const estimate = () => this.wallet.estimateGas(txRequest);
+                if (this.dryRun) {
+                    return this.simulate('self_transfer', 'self transfer', estimate, { amount: `${ethers.utils.formatEther(value)} CBTC` });
+                }
+
+                const tx = await this.broadcast('self_transfer', estimate, overrides => this.wallet.sendTransaction({
+                    ...txRequest,
                     chainId: NETWORK.chainId,
-                    gasLimit: 21000,
-                    maxFeePerGas: ethers.utils.parseUnits("0.02", "gwei"),
-                    maxPriorityFeePerGas: ethers.utils.parseUnits("0.0000001", "gwei")
-                });
+                    ...overrides
+                }), { value });
                 
-                // Wait for transaction with retry
-                return await withRetry(async () => await tx.wait());
+                return await this.waitForTransaction(tx, 'self_transfer');
             } catch (error) {
                 logger.error('Self transfer failed', { 
+                    category: classifyError(error).category,
                     error: error.message, 
                     address: this.wallet.address 
                 });
@@ -249,50 +502,54 @@ class CitreaBot {
     }
 
     async deployContract(contractName, constructorArgs = []) {
-        return withRetry(async () => {
+        const deployed = await this.retry(async () => {
             try {
                 const contract = CONTRACTS[contractName];
                 if (!contract) {
                     throw new Error(`Contract ${contractName} not found`);
                 }
 
-                const solc = require('solc');
-                const input = {
-                    language: 'Solidity',
-                    sources: {
-                        'contract.sol': {
-                            content: contract.code
-                        }
-                    },
-                    settings: {
-                        outputSelection: {
-                            '*': {
-                                '*': ['*']
-                            }
-                        }
-                    }
-                };
-
-                const output = JSON.parse(solc.compile(JSON.stringify(input)));
-                const artifact = output.contracts['contract.sol'][contract.name];
+                const artifact = loadArtifact(contract.name);
 
                 const factory = new ethers.ContractFactory(
                     artifact.abi,
-                    artifact.evm.bytecode.object,
+                    artifact.bytecode,
                     this.wallet
                 );
 
-                const deployedContract = await factory.deploy(...constructorArgs, {
-                    gasLimit: 2600000,
-                    maxFeePerGas: ethers.utils.parseUnits("0.1", "gwei"),
-                    maxPriorityFeePerGas: ethers.utils.parseUnits("0.0000001", "gwei")
+                const estimate = () => this.wallet.estimateGas(factory.getDeployTransaction(...constructorArgs));
+                if (this.dryRun) {
+                    return this.simulate('contract_deploy', `${contractName} deployment`, estimate, { contractType: contractName });
+                }
+
+                const tx = await this.broadcast('contract_deploy', estimate, async overrides => {
+                    const deployment = await factory.deploy(...constructorArgs, overrides);
+                    return deployment.deployTransaction;
                 });
 
-                // Wait for deployment with retry
-                await withRetry(async () => await deployedContract.deployed());
+                // Replacements keep the nonce, so the contract address does not change
+                const deployedContract = factory.attach(ethers.utils.getContractAddress(tx));
+                await this.waitForTransaction(tx, 'contract_deploy');
+
+                if (this.registry) {
+                    this.registry.add(NETWORK.chainId, this.wallet.address, {
+                        type: contractName,
+                        contractName: contract.name,
+                        address: deployedContract.address,
+                        txHash: tx.hash,
+                        abi: artifact.abi,
+                        constructorArgs: factory.interface.encodeDeploy(constructorArgs)
+                    });
+                }
+                this.report.recordContract({
+                    type: contractName,
+                    address: deployedContract.address,
+                    txHash: tx.hash
+                });
                 return deployedContract;
             } catch (error) {
                 logger.error('Contract deployment failed', { 
+                    category: classifyError(error).category,
                     error: error.message, 
                     address: this.wallet.address,
                     contractName 
@@ -300,360 +557,829 @@ class CitreaBot {
                 throw error;
             }
         });
+
+        // Outside the retry, a failed verification must not redeploy the contract
+        if (this.verifier && !this.dryRun) {
+            await this.verifyContract({
+                type: contractName,
+                contractName: CONTRACTS[contractName].name,
+                address: deployed.address,
+                constructorArgs
+            });
+        }
+        return deployed;
     }
 
-    async swapCBTCForUSDC(amountIn) {
-        return withRetry(async () => {
+    // Registry entries of this wallet that are not verified on the explorer yet
+    listUnverified() {
+        if (!this.registry) return [];
+        return this.registry.list(NETWORK.chainId, this.wallet.address)
+            .filter(entry => !entry.verification || entry.verification.status !== 'verified');
+    }
+
+    // Submit a deployed contract's sources to the explorer and record the outcome in the
+    // registry and the cycle report. `entry` has the registry entry shape; its
+    // `constructorArgs` are ABI-encoded hex or an array of values. A submission left
+    // pending by an earlier run is checked again instead of being resubmitted.
+    async verifyContract(entry) {
+        if (!this.verifier) {
+            throw new Error('Verification is disabled or the network profile has no explorer_api_url');
+        }
+
+        const artifact = loadArtifact(entry.contractName);
+        const constructor = artifact.abi.find(item => item.type === 'constructor');
+        if (entry.constructorArgs === undefined && constructor && constructor.inputs.length > 0) {
+            throw new Error(`Constructor arguments of ${entry.address} were not recorded, it cannot be verified`);
+        }
+        const constructorArgs = Array.isArray(entry.constructorArgs)
+            ? new ethers.utils.Interface(artifact.abi).encodeDeploy(entry.constructorArgs)
+            : entry.constructorArgs || '0x';
+        const previous = entry.verification || {};
+
+        logger.info('Verifying contract on the explorer', { contractType: entry.type, address: entry.address });
+        const result = previous.status === 'pending' && previous.guid
+            ? await this.verifier.poll(previous.guid)
+            : await this.verifier.verify({ address: entry.address, artifact, constructorArgs });
+
+        logger[result.status === 'verified' ? 'info' : 'warn'](`Contract verification ${result.status}`, {
+            contractType: entry.type,
+            address: entry.address,
+            result: result.message
+        });
+
+        const verification = { ...result, checkedAt: new Date().toISOString() };
+        if (this.registry) {
+            this.registry.update(NETWORK.chainId, this.wallet.address, entry.address, { verification });
+        }
+        const reported = this.report.contracts.find(contract => contract.address === entry.address);
+        if (reported) reported.verification = result.status;
+        return verification;
+    }
+
+    // Send a contract call with shared fee handling; in dry-run mode it is simulated instead.
+    // `dependent` marks calls that cannot be simulated before an earlier call is mined.
+    async callContract(task, contract, method, args = [], { primary = true, dependent = false } = {}) {
+        const estimate = () => contract.estimateGas[method](...args);
+        if (this.dryRun) {
+            const action = `${method} on ${contract.address}`;
+            return dependent
+                ? this.recordUnverified(task, action, 'depends on an earlier call being mined')
+                : this.simulate(task, action, estimate);
+        }
+
+        const tx = await this.broadcast(task, estimate, overrides => contract[method](...args, overrides), { primary });
+
+        return await this.waitForTransaction(tx, task, { primary });
+    }
+
+    // Whether interactWithContract() has calls for the type of a registry entry
+    canInteract(entry) {
+        return INTERACTIVE_TYPES.includes(entry.type);
+    }
+
+    // Interact with a contract from the registry; returns the receipt of the last call.
+    // Each transaction and read is retried on its own, so a failed call never re-sends
+    // the calls mined before it. The outer retry only classifies the other errors.
+    async interactWithContract(entry, { token_amount: tokenAmount = { min: 1, max: 10 }, tokens = [] } = {}) {
+        const call = (contract, method, args, options) =>
+            this.retry(() => this.callContract('contract_interact', contract, method, args, options));
+
+        return this.retry(async () => {
             try {
-                const path = [NETWORK.WCBTC, NETWORK.USDC];
-                const deadline = Math.floor(Date.now() / 1000) + 1200;
-
-                const tx = await this.router.swapExactETHForTokens(
-                    0,
-                    path,
-                    this.wallet.address,
-                    deadline,
-                    {
-                        value: ethers.utils.parseEther(amountIn.toString()),
-                        gasLimit: 300000,
-                        maxFeePerGas: ethers.utils.parseUnits("0.2", "gwei"),
-                        maxPriorityFeePerGas: ethers.utils.parseUnits("0.0000001", "gwei")
+                const contract = new ethers.Contract(entry.address, entry.abi, this.wallet);
+                const randomAmount = () => ethers.utils.parseEther(getRandomNumber(tokenAmount.min, tokenAmount.max, 6).toFixed(6));
+
+                switch (entry.type) {
+                    case 'SimpleStorage':
+                        return await call(contract, 'setValue', [
+                            Math.floor(Math.random() * 1000000)
+                        ]);
+
+                    case 'NFTMinter': {
+                        // Token IDs are counted per owner, so the next one is the current count
+                        const tokenId = await withRetry(() => contract.getTokenCount(this.wallet.address));
+                        await call(contract, 'mint', [], { primary: false });
+                        return await call(contract, 'setTokenURI', [
+                            tokenId,
+                            `ipfs://citrea-bot/${entry.address.toLowerCase()}/${tokenId}`
+                        ], { dependent: true });
                     }
-                );
 
-                // Wait for transaction with retry
-                return await withRetry(async () => await tx.wait());
+                    case 'ERC20': {
+                        const recipient = ethers.Wallet.createRandom().address;
+                        const method = Math.random() < 0.5 ? 'transfer' : 'approve';
+                        return await call(contract, method, [recipient, randomAmount()]);
+                    }
+
+                    case 'SimpleSwap': {
+                        // Needs an ERC20 this wallet deployed earlier to provide liquidity and swap with
+                        if (tokens.length === 0) {
+                            throw new Error('SimpleSwap interaction requires a deployed ERC20 token');
+                        }
+                        const pick = () => tokens[Math.floor(Math.random() * tokens.length)];
+                        const tokenEntry = pick();
+                        const tokenIn = new ethers.Contract(tokenEntry.address, tokenEntry.abi, this.wallet);
+                        const tokenOut = pick().address;
+                        const amount = randomAmount();
+
+                        await call(tokenIn, 'approve', [entry.address, amount.mul(2)], { primary: false });
+                        const liquidityReceipt = await call(contract, 'addLiquidity', [
+                            tokenIn.address,
+                            amount
+                        ], { dependent: true });
+
+                        // Swap against the pool once it holds enough of the output token
+                        const liquidity = await withRetry(() => contract.getBalance(tokenOut));
+                        if (liquidity.lt(amount)) return liquidityReceipt;
+                        return await call(contract, 'swap', [
+                            tokenIn.address,
+                            tokenOut,
+                            amount,
+                            amount
+                        ], { dependent: true });
+                    }
+
+                    default:
+                        throw new Error(`No interactions defined for contract type ${entry.type}`);
+                }
             } catch (error) {
-                logger.error('CBTC to USDC swap failed', { 
-                    error: error.message, 
-                    address: this.wallet.address 
+                logger.error('Contract interaction failed', {
+                    category: classifyError(error).category,
+                    error: error.message,
+                    address: this.wallet.address,
+                    contractType: entry.type
                 });
                 throw error;
             }
         });
     }
 
+    // Swap `amountIn` (in units of the first token) along `path`, a list of token
+    // names, CBTC or addresses. The router method follows from the ends of the
+    // path: CBTC for tokens, tokens for CBTC or token to token.
+    async swapTokens(path, amountIn) {
+        return this.retry(async () => {
+            const tokens = TOKENS.resolvePath(path);
+            const [tokenIn, tokenOut] = await withRetry(() => Promise.all([
+                TOKENS.get(path[0], this.provider),
+                TOKENS.get(path[path.length - 1], this.provider)
+            ]));
+            const label = `${tokenIn.symbol} to ${tokenOut.symbol}`;
+            const route = tokens.map(token => token.address);
+            const format = (amount, token) => `${ethers.utils.formatUnits(amount, token.decimals)} ${token.symbol}`;
+
+            try {
+                let amount = ethers.utils.parseUnits(formatAmount(amountIn, tokenIn.decimals), tokenIn.decimals);
+                const erc20 = tokenIn.native ? null : new ethers.Contract(tokenIn.address, ERC20_ABI, this.wallet);
+
+                if (tokenIn.native) {
+                    amount = await this.guard.fitValue('swap', amount, `${label} swap`);
+                    if (!amount) return null;
+                } else if (this.guard.enabled) {
+                    const balance = await erc20.balanceOf(this.wallet.address);
+                    if (balance.isZero()) {
+                        logger.warn(`${label} swap skipped, no ${tokenIn.symbol} balance`, { address: this.wallet.address });
+                        return null;
+                    }
+                    if (balance.lt(amount)) {
+                        logger.warn(`${label} swap scaled down to the ${tokenIn.symbol} balance`, {
+                            address: this.wallet.address,
+                            amount: `${ethers.utils.formatUnits(amount, tokenIn.decimals)} -> ${format(balance, tokenIn)}`
+                        });
+                        amount = balance;
+                    }
+                }
+                const quote = await this.quoteSwap(amount, route);
+
+                logger.info(`${label} quote`, {
+                    address: this.wallet.address,
+                    quotedOut: format(quote.quotedOut, tokenOut),
+                    minOut: format(quote.amountOutMin, tokenOut),
+                    priceImpact: `${quote.priceImpactBps / 100}%`
+                });
+                if (this.isPriceImpactTooHigh(quote, label)) return null;
+
+                const [method, args, value] = tokenIn.native
+                    ? ['swapExactETHForTokens', [quote.amountOutMin, route, this.wallet.address, quote.deadline], amount]
+                    : [tokenOut.native ? 'swapExactTokensForETH' : 'swapExactTokensForTokens',
+                        [amount, quote.amountOutMin, route, this.wallet.address, quote.deadline], 0];
+                const estimate = () => this.router.estimateGas[method](...args, { value });
+
+                const approval = tokenIn.native ? null : await this.ensureAllowance('swap', tokenIn, NETWORK.router, amount);
+                if (this.dryRun) {
+                    // The swap can only be simulated once an allowance covers it
+                    if (approval) {
+                        return this.recordUnverified(
+                            'swap',
+                            `${label} swap`,
+                            'requires the approval above to be mined before it can be simulated',
+                            { amount: format(amount, tokenIn) }
+                        );
+                    }
+                    return this.simulate('swap', `${label} swap`, estimate, { amount: format(amount, tokenIn) });
+                }
+
+                const tx = await this.broadcast('swap', estimate, overrides => this.router[method](...args, { value, ...overrides }), { value });
+
+                const receipt = await this.waitForTransaction(tx, 'swap');
+                const actualOut = this.getSwapOutput(receipt, tokenOut.address);
+                logger.info(`${label} output`, {
+                    address: this.wallet.address,
+                    quotedOut: format(quote.quotedOut, tokenOut),
+                    actualOut: actualOut ? format(actualOut, tokenOut) : 'unknown'
+                });
+                return receipt;
+            } catch (error) {
+                logger.error(`${label} swap failed`, {
+                    category: classifyError(error).category,
+                    error: error.message,
+                    address: this.wallet.address
+                });
+                throw error;
+            }
+        });
+    }
+
+    async swapCBTCForUSDC(amountIn) {
+        return this.swapTokens([NATIVE_SYMBOL, 'USDC'], amountIn);
+    }
+
     async swapUSDCForCBTC(amountIn) {
-        return withRetry(async () => {
+        return this.swapTokens(['USDC', NATIVE_SYMBOL], amountIn);
+    }
+
+    // Wrap `amountIn` CBTC into WCBTC
+    async wrapCBTC(amountIn) {
+        return this.retry(async () => {
             try {
-                const USDC = new ethers.Contract(
-                    NETWORK.USDC,
-                    ['function approve(address spender, uint256 amount) public returns (bool)'],
-                    this.wallet
-                );
+                const wcbtc = new ethers.Contract(NETWORK.WCBTC, WCBTC_ABI, this.wallet);
+                const value = await this.guard.fitValue('wrap', ethers.utils.parseEther(formatAmount(amountIn, 18)), 'CBTC wrap');
+                if (!value) return null;
+
+                const estimate = () => wcbtc.estimateGas.deposit({ value });
+                if (this.dryRun) {
+                    return this.simulate('wrap', 'CBTC wrap', estimate, { amount: `${ethers.utils.formatEther(value)} CBTC` });
+                }
+
+                const tx = await this.broadcast('wrap', estimate, overrides => wcbtc.deposit({ value, ...overrides }), { value });
+                return await this.waitForTransaction(tx, 'wrap');
+            } catch (error) {
+                logger.error('CBTC wrap failed', {
+                    category: classifyError(error).category,
+                    error: error.message,
+                    address: this.wallet.address
+                });
+                throw error;
+            }
+        });
+    }
+
+    // Unwrap `amountIn` WCBTC back into CBTC
+    async unwrapCBTC(amountIn) {
+        return this.retry(async () => {
+            try {
+                const wcbtc = new ethers.Contract(NETWORK.WCBTC, WCBTC_ABI, this.wallet);
+                let amount = ethers.utils.parseEther(formatAmount(amountIn, 18));
 
-                // Approve with retry
-                const approveTx = await USDC.approve(
-                    NETWORK.router,
-                    ethers.utils.parseUnits(amountIn.toString(), 6),
-                    {
-                        gasLimit: 100000,
-                        maxFeePerGas: ethers.utils.parseUnits("0.2", "gwei"),
-                        maxPriorityFeePerGas: ethers.utils.parseUnits("0.0000001", "gwei")
+                if (this.guard.enabled) {
+                    const balance = await wcbtc.balanceOf(this.wallet.address);
+                    if (balance.isZero()) {
+                        logger.warn('WCBTC unwrap skipped, no WCBTC balance', { address: this.wallet.address });
+                        return null;
                     }
-                );
-                await withRetry(async () => await approveTx.wait());
-
-                const path = [NETWORK.USDC, NETWORK.WCBTC];
-                const deadline = Math.floor(Date.now() / 1000) + 1200;
-
-                const tx = await this.router.swapExactTokensForETH(
-                    ethers.utils.parseUnits(amountIn.toString(), 6),
-                    0,
-                    path,
-                    this.wallet.address,
-                    deadline,
-                    {
-                        gasLimit: 300000,
-                        maxFeePerGas: ethers.utils.parseUnits("0.2", "gwei"),
-                        maxPriorityFeePerGas: ethers.utils.parseUnits("0.0000001", "gwei")
+                    if (balance.lt(amount)) {
+                        logger.warn('WCBTC unwrap scaled down to the WCBTC balance', {
+                            address: this.wallet.address,
+                            amount: `${ethers.utils.formatEther(amount)} -> ${ethers.utils.formatEther(balance)} WCBTC`
+                        });
+                        amount = balance;
                     }
-                );
+                }
+
+                const estimate = () => wcbtc.estimateGas.withdraw(amount);
+                if (this.dryRun) {
+                    return this.simulate('unwrap', 'WCBTC unwrap', estimate, { amount: `${ethers.utils.formatEther(amount)} WCBTC` });
+                }
 
-                // Wait for transaction with retry
-                return await withRetry(async () => await tx.wait());
+                const tx = await this.broadcast('unwrap', estimate, overrides => wcbtc.withdraw(amount, overrides));
+                return await this.waitForTransaction(tx, 'unwrap');
             } catch (error) {
-                logger.error('USDC to CBTC swap failed', { 
-                    error: error.message, 
-                    address: this.wallet.address 
+                logger.error('WCBTC unwrap failed', {
+                    category: classifyError(error).category,
+                    error: error.message,
+                    address: this.wallet.address
                 });
                 throw error;
             }
         });
     }
+
+    // Make sure `spender` may take `amount` of `token` ({ address, symbol, decimals })
+    // from this wallet. The allowance is read first and only raised, following the
+    // approval policy, when it falls short. Resolves to the approval receipt (the
+    // dry-run entry), or null when no approval was needed.
+    async ensureAllowance(task, token, spender, amount) {
+        const approval = await withRetry(() => this.allowances.needed(token, this.wallet.address, spender, amount));
+        if (!approval) return null;
+
+        const erc20 = new ethers.Contract(token.address, ERC20_ABI, this.wallet);
+        const estimate = () => erc20.estimateGas.approve(spender, approval);
+        const allowance = formatAllowance(token, approval);
+        if (this.dryRun) {
+            return this.simulate(task, `${token.symbol} approval`, estimate, { allowance });
+        }
+
+        logger.info(`Approving ${token.symbol}`, { address: this.wallet.address, spender, allowance });
+        const tx = await this.broadcast(task, estimate, overrides => erc20.approve(spender, approval, overrides), { primary: false });
+        return this.waitForTransaction(tx, task, { primary: false });
+    }
+
+    // Router allowances this wallet granted over `refs` (all tokens of the network
+    // by default): [{ ref, token, allowance }], zero allowances left out
+    async listAllowances(refs = Object.keys(NETWORK.tokens)) {
+        return withRetry(() => this.allowances.list(refs, this.wallet.address, NETWORK.router));
+    }
+
+    // Set the router allowances over `refs` back to zero; resolves to the revoked
+    // entries of listAllowances() with the receipt (or dry-run entry) of each
+    async revokeAllowances(refs) {
+        const entries = await this.listAllowances(refs);
+        const revoked = [];
+
+        for (const entry of entries) {
+            const { token } = entry;
+            const erc20 = new ethers.Contract(token.address, ERC20_ABI, this.wallet);
+            const estimate = () => erc20.estimateGas.approve(NETWORK.router, 0);
+            const details = { token: token.symbol, allowance: formatAllowance(token, entry.allowance) };
+
+            const receipt = await this.retry(async () => {
+                try {
+                    if (this.dryRun) return this.simulate('revoke', `${token.symbol} revoke`, estimate, details);
+                    const tx = await this.broadcast('revoke', estimate, overrides => erc20.approve(NETWORK.router, 0, overrides));
+                    return await this.waitForTransaction(tx, 'revoke');
+                } catch (error) {
+                    logger.error(`${token.symbol} revoke failed`, {
+                        category: classifyError(error).category,
+                        error: error.message,
+                        address: this.wallet.address
+                    });
+                    throw error;
+                }
+            });
+            revoked.push({ ...entry, receipt });
+        }
+        return revoked;
+    }
+}
+
+// Marker returned for steps a previous (interrupted) run already completed
+const STEP_SKIPPED = Symbol('step skipped');
+
+// Task modules, loaded once: the built-in tasks plus those in the user task directory
+let TASKS = null;
+
+function getTasks() {
+    if (!TASKS) TASKS = loadTasks();
+    return TASKS;
+}
+
+// Send a notification to the configured channels; resolves once delivered, never rejects
+function notify(event, severity, title, details) {
+    return NOTIFIER.notify(event, severity, title, details);
 }
 
 // Process Wallet Function
-async function processWallet(privateKey, index, total, config) {
-    const bot = new CitreaBot(privateKey);
+async function processWallet(signer, index, total, config, { dryRun = false, journal = null, cycleId = null, registry = null } = {}) {
+    const address = (typeof signer === 'string' ? new ethers.Wallet(signer) : signer).address;
+    const pause = () => (dryRun ? Promise.resolve() : sleep(config.delay.between_tasks));
     logger.info('Processing wallet', { 
         walletIndex: index + 1, 
         walletCount: total,
-        address: bot.wallet.address 
+        address
     });
 
+    // Set up in the try below, so a wallet that cannot even be planned fails on its own
+    let bot = null;
+    let report = new WalletReport(address, index + 1);
+            
+    // Run one journaled step. Steps confirmed by a previous run are skipped and
+    // hashes left pending by a crash are reconciled before anything is re-sent.
+    const runJournaledStep = async (key, task, iteration, run) => {
+        if (!journal) return run();
+            
+        const previous = journal.getStep(cycleId, address, key);
+        if (previous && previous.status === 'confirmed') {
+            logger.info('Step already completed, skipping', { walletIndex: index + 1, step: key });
+            return STEP_SKIPPED;
+        }
+            
+        if (previous && previous.status === 'pending' && previous.txHash) {
+            let { state, receipt, tx } = await withRetry(() => reconcileTransaction(bot.provider, previous.txHash));
+            if (state === 'pending') {
+                logger.info('Waiting for transaction from previous run', { walletIndex: index + 1, step: key, txHash: previous.txHash });
+                receipt = await bot.waitForTransaction(tx, task, { primary: previous.primary !== false }).catch(error => error.receipt);
+                state = receipt && receipt.status === 1 ? 'confirmed' : 'reverted';
+            }
+            
+            logger.info('Reconciled transaction from previous run', { walletIndex: index + 1, step: key, state, txHash: previous.txHash });
+            if (state === 'confirmed' && previous.primary !== false) {
+                journal.recordStep(cycleId, address, key, { status: 'confirmed', gasUsed: receipt.gasUsed.toString() });
+                return STEP_SKIPPED;
+            }
+        }
+            
+        journal.recordStep(cycleId, address, key, { task, iteration, status: 'started' });
+        bot.onTransaction = (tx, { primary }) => {
+            journal.recordStep(cycleId, address, key, { status: 'pending', txHash: tx.hash, primary });
+        };
+            
+        try {
+            const result = await run();
+            const { txHash } = journal.getStep(cycleId, address, key);
+            const receipt = result && txHash ? await withRetry(() => bot.provider.getTransactionReceipt(txHash)) : null;
+            journal.recordStep(cycleId, address, key, {
+                status: result ? 'confirmed' : 'skipped',
+                ...(receipt ? { gasUsed: receipt.gasUsed.toString() } : {})
+            });
+            return result;
+        } catch (error) {
+            journal.recordStep(cycleId, address, key, { status: 'failed', error: error.message });
+            throw error;
+        } finally {
+            bot.onTransaction = null;
+        }
+    };
+
+    // Errors whose recovery strategy is skip_task only end the current step.
+    // No new step starts once a shutdown was requested.
+    const runStep = async (key, task, iteration, run) => {
+        assertNotShuttingDown();
+        try {
+            return await withLogContext({ task, iteration: iteration + 1 }, () => runJournaledStep(key, task, iteration, run));
+        } catch (error) {
+            if (error instanceof ShutdownError) throw error;
+            report.recordError(task);
+            if (error.strategy !== 'skip_task') throw error;
+
+            logger.warn('Step failed, skipping', {
+                walletIndex: index + 1,
+                step: key,
+                category: error.category,
+                error: error.reason || error.message
+            });
+            return STEP_SKIPPED;
+        }
+    };
+            
+    let interrupted = false;
     try {
-        // Self Transfer
-        if (config.tasks.self_transfer.enabled) {
-            const settings = config.tasks.self_transfer.settings;
-            for (let i = 0; i < settings.repeat_times.min; i++) {
-                const amount = getRandomNumber(
-                    settings.amount.min,
-                    settings.amount.max,
-                    settings.amount.decimals
-                );
-                
-                logger.info('Initiating transfer', { 
-                    walletIndex: index + 1,
-                    amount: `${amount} CBTC`
-                });
-                
-                const tx = await bot.selfTransfer(amount);
-                logger.info('Transfer successful', { 
-                    walletIndex: index + 1,
-                    txHash: tx.transactionHash
-                });
+        bot = new CitreaBot(signer, config, { dryRun, registry });
+        report = bot.report;
+        report.index = index + 1;
+        if (!dryRun) report.balances.before = await bot.getBalances();
 
-                await sleep(config.delay.between_tasks);
-            }
+        // Plan the enabled tasks, then scale their steps down to what the CBTC balance
+        // can pay for. Journaled cycles draw the same plan again when resumed.
+        const plans = planTasks(getTasks(), config, {
+            config,
+            dryRun,
+            registry,
+            network: NETWORK,
+            walletIndex: index + 1,
+            logger,
+            random: getRandomNumber,
+            getConstructorArgs
+        }, { seed: cycleId ? `${cycleId}:${address.toLowerCase()}` : null });
+        const budget = getBudget(plans);
+        const runs = await withRetry(() => bot.guard.planWallet(budget));
+        if (budget.length > 0 && budget.every(entry => runs[entry.name] === 0)) {
+            report.status = 'skipped';
+            logger.warn('Skipping wallet, not enough CBTC for any task', { walletIndex: index + 1, address });
         }
 
-        // Contract Deploy
-        if (config.tasks.contract_deploy.enabled) {
-            const settings = config.tasks.contract_deploy.settings;
-            for (let i = 0; i < settings.repeat_times.min; i++) {
-                for (const contractType of settings.contract_types) {
-                    let constructorArgs = [];
-                    
-                    if (contractType === 'ERC20') {
-                        const tokenName = generateTokenName();
-                        const tokenSymbol = generateTokenSymbol(tokenName);
-                        const supply = getRandomNumber(
-                            settings.token_supply.min,
-                            settings.token_supply.max
-                        );
-                        
-                        logger.info('Deploying ERC20 token', { 
-                            walletIndex: index + 1,
-                            tokenName,
-                            tokenSymbol,
-                            supply: supply.toString()
-                        });
-                        
-                        constructorArgs = [
-                            tokenName, 
-                            tokenSymbol,
-                            ethers.utils.parseEther(supply.toString())
-                        ];
-                    }
-                    
-                    logger.info('Deploying contract', { 
-                        walletIndex: index + 1,
-                        contractType
-                    });
-                    
-                    const deployedContract = await bot.deployContract(contractType, constructorArgs);
-                    
-                    logger.info('Contract deployed', {
-                        walletIndex: index + 1,
-                        address: deployedContract.address
-                    });
+        for (const { task, ctx, steps } of limitSteps(plans, runs)) {
+            for (const step of steps) {
+                const result = await runStep(step.key, task.name, step.iteration, () => task.execute(bot, { ...ctx, step }));
+                if (result === STEP_SKIPPED) continue;
 
-                    await sleep(config.delay.between_tasks);
-                }
+                await pause();
             }
         }
-
-        // Swaps
-        if (config.tasks.swap.enabled) {
-            const settings = config.tasks.swap.settings;
-            // Tambahkan loop untuk mengulang sesuai repeat_times
-            for (let i = 0; i < settings.repeat_times.min; i++) {
-                // CBTC to USDC
-                if (settings.cbtc_to_usdc.enabled) {
-                    const amount = getRandomNumber(
-                        settings.cbtc_to_usdc.amount.min,
-                        settings.cbtc_to_usdc.amount.max,
-                        settings.cbtc_to_usdc.decimals
-                    );
-                    
-                    logger.info('Initiating CBTC to USDC swap', { 
-                        walletIndex: index + 1,
-                        amount: `${amount} CBTC`,
-                        iteration: `${i+1}/${settings.repeat_times.min}`
-                    });
-                    
-                    const tx = await bot.swapCBTCForUSDC(amount);
-                    logger.info('Swap successful', { 
-                        walletIndex: index + 1,
-                        txHash: tx.transactionHash
-                    });
-        
-                    await sleep(config.delay.between_tasks);
-                }
-        
-                // USDC to CBTC
-                if (settings.usdc_to_cbtc.enabled) {
-                    const amount = getRandomNumber(
-                        settings.usdc_to_cbtc.amount.min,
-                        settings.usdc_to_cbtc.amount.max,
-                        settings.usdc_to_cbtc.decimals
-                    );
-                    
-                    logger.info('Initiating USDC to CBTC swap', { 
-                        walletIndex: index + 1,
-                        amount: `${amount} USDC`,
-                        iteration: `${i+1}/${settings.repeat_times.min}`
-                    });
-                    
-                    const tx = await bot.swapUSDCForCBTC(amount);
-                    logger.info('Swap successful', { 
-                        walletIndex: index + 1,
-                        txHash: tx.transactionHash
-                    });
-        
-                    await sleep(config.delay.between_tasks);
-                }
+    } catch (error) {
+        if (error instanceof ShutdownError) {
+            interrupted = true;
+            report.status = 'interrupted';
+            logger.warn('Wallet processing interrupted by shutdown', { walletIndex: index + 1 });
+        } else {
+            report.status = 'failed';
+            report.error = error.message;
+            const { category } = classifyError(error);
+            logger.error('Wallet processing failed', {
+                walletIndex: index + 1,
+                category,
+                error: error.message
+            });
+            if (!dryRun) {
+                await notify('wallet_failed', 'error', `Wallet ${index + 1} processing failed`, {
+                    message: error.message,
+                    fields: { network: NETWORK.name, address, category, cycle: cycleId }
+                });
             }
         }
+    }
+            
+    // Interrupted wallets stay open in the journal so the next start resumes them
+    if (journal && !interrupted) {
+        journal.finishWallet(cycleId, address, report.status);
+    }
 
-    } catch (error) {
-        logger.error('Wallet processing failed', {
+    if (dryRun) {
+        const plan = bot ? bot.plan : [];
+        const estimatedCost = plan
+            .filter(entry => entry.estimatedCost)
+            .reduce((total, entry) => total.add(ethers.utils.parseEther(entry.estimatedCost)), ethers.BigNumber.from(0));
+
+        logger.info('Dry-run plan', {
             walletIndex: index + 1,
-            error: error.message
+            address,
+            transactions: plan.length,
+            reverts: plan.filter(entry => entry.status === 'revert').length,
+            estimatedCost: `${ethers.utils.formatEther(estimatedCost)} CBTC`
         });
-    }
-}
 
-async function main() {
-    try {
-        // Validate required directories
-        const requiredPaths = {
-            logs: path.join(__dirname, 'logs'),
-            contracts: path.join(__dirname, 'src', 'contracts'),
-            config: path.join(__dirname, 'src', 'config'),
-            files: path.join(__dirname, 'src', 'file')
+        return {
+            address,
+            estimatedCost: ethers.utils.formatEther(estimatedCost),
+            plan
         };
+    }
 
-        Object.entries(requiredPaths).forEach(([name, dirPath]) => {
-            if (!fs.existsSync(dirPath)) {
-                logger.info(`Creating ${name} directory: ${dirPath}`);
-                fs.mkdirSync(dirPath, { recursive: true });
-            }
+    if (!bot) return report;
+    report.balances.after = await bot.getBalances();
+
+    const lowBalance = NOTIFIER.settings.low_balance_cbtc;
+    const balance = report.balances.after;
+    if (balance && Number(balance.cbtc) < lowBalance) {
+        logger.warn('Low CBTC balance', { walletIndex: index + 1, address, balance: `${balance.cbtc} CBTC` });
+        await notify('low_balance', 'warning', `Wallet ${index + 1} is low on CBTC`, {
+            message: `${balance.cbtc} CBTC left, below the ${lowBalance} CBTC threshold`,
+            fields: { network: NETWORK.name, address, cbtc: balance.cbtc, usdc: balance.usdc }
         });
+    }
+    return report;
+}
 
-        // Load and validate files
-        const configPath = path.join(__dirname, 'src', 'config', 'config.json');
-        const pkPath = path.join(__dirname, 'src', 'file', 'pk.txt');
+const CONFIG_PATH = path.join(__dirname, 'src', 'config', 'config.json');
 
-        if (!fs.existsSync(configPath)) {
-            throw new Error('config.json not found in src/config/');
-        }
-        if (!fs.existsSync(pkPath)) {
-            throw new Error('pk.txt not found in src/file/');
+// Create the directories the bot writes to
+function ensureDirectories() {
+    const requiredPaths = {
+        logs: path.join(__dirname, 'logs'),
+        contracts: path.join(__dirname, 'src', 'contracts'),
+        config: path.join(__dirname, 'src', 'config'),
+        files: path.join(__dirname, 'src', 'file'),
+        data: path.join(__dirname, 'data')
+    };
+
+    Object.entries(requiredPaths).forEach(([name, dirPath]) => {
+        if (!fs.existsSync(dirPath)) {
+            logger.info(`Creating ${name} directory: ${dirPath}`);
+            fs.mkdirSync(dirPath, { recursive: true });
         }
+    });
+}
+
+// Write logs to logs/citrea-<date>.log in addition to the console, as JSON lines
+// tagged with the cycle, wallet, task and iteration (see the `logs` command)
+function enableFileLogging() {
+    logger.add(new DailyRotateFile({
+        filename: path.join(__dirname, 'logs', 'citrea-%DATE%.log'),
+        datePattern: 'YYYY-MM-DD',
+        maxSize: '20m',
+        maxFiles: '14d',
+        format: jsonLogFormat()
+    }));
+}
+
+// Read and validate config.json, filling missing options from the schema
+// defaults. A default config is written on first run.
+function loadConfig(configPath = CONFIG_PATH) {
+    const { config, created } = readConfigFile(configPath, { contractTypes: Object.keys(CONTRACTS), tasks: getTasks(), create: true });
+    if (created) {
+        logger.info('Created default config', { path: configPath });
+    }
+    return config;
+}
 
-        const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
-        const privateKeys = fs.readFileSync(pkPath, 'utf8')
-            .split('\n')
-            .map(line => line.trim())
-            .filter(line => line && !line.startsWith('#'));
+function configure(config, { network } = {}) {
+    const previous = NETWORK;
+    NETWORK = resolveNetwork(config, network || process.env.CITREA_NETWORK);
+    if (JSON.stringify(NETWORK) !== JSON.stringify(previous)) TOKENS = new TokenRegistry(NETWORK);
+    ERROR_POLICIES = resolveErrorPolicies(config.errors);
+    // Keep the notifier, and its rate limits, while its settings do not change
+    const notifications = config.notifications || {};
+    if (JSON.stringify(notifications) !== NOTIFIER.fingerprint) {
+        NOTIFIER = new Notifier(notifications, { logger });
+    }
+    // Keep the pool, with its endpoint health and rate limits, while neither changes
+    const pool = new RpcPool(NETWORK, config.rpc || {}, { logger });
+    if (pool.fingerprint !== PROVIDER.fingerprint) PROVIDER = pool;
+    getTasks().checkSettings(config, { network: NETWORK }).forEach(problem => {
+        logger.warn('Task settings do not fit the network, affected steps will fail', { network: NETWORK.name, problem });
+    });
+    checkCaps(config.approvals, TOKENS).forEach(problem => {
+        logger.warn('Approval cap does not fit the network, approvals will fail', { network: NETWORK.name, problem });
+    });
+    if (config.verification && config.verification.enabled && !NETWORK.explorerApiUrl) {
+        logger.warn('Contract verification is enabled but the network profile has no explorer_api_url, skipping it', { network: NETWORK.name });
+    }
+    return NETWORK;
+}
 
-        if (privateKeys.length === 0) {
-            throw new Error('No private keys found in pk.txt');
+// Check a config without touching the network; returns a list of
+// "<path>: <problem>" strings
+function validateConfig(config, { network } = {}) {
+    const { problems } = resolveConfig(config, { contractTypes: Object.keys(CONTRACTS), tasks: getTasks() });
+    if (problems.length > 0) return problems;
+
+    try {
+        const profile = resolveNetwork(config, network || process.env.CITREA_NETWORK);
+        problems.push(...getTasks().checkSettings(config, { network: profile }));
+        problems.push(...checkCaps(config.approvals, new TokenRegistry(profile)));
+        if (config.verification && config.verification.enabled && !profile.explorerApiUrl) {
+            problems.push(`verification.enabled: network "${profile.name}" has no explorer_api_url`);
         }
+    } catch (error) {
+        problems.push(error.message);
+    }
+    return problems;
+}
 
-        logger.info('Bot started', { 
-            walletsCount: privateKeys.length,
-            tasksEnabled: {
-                selfTransfer: config.tasks.self_transfer.enabled,
-                contractDeploy: config.tasks.contract_deploy.enabled,
-                swap: config.tasks.swap.enabled
+// Wallets are loaded once, so keystore passwords are only prompted for on the first cycle
+async function getWallets(config) {
+    if (!WALLETS) {
+        WALLETS = await loadWallets(config.wallets, { baseDir: __dirname });
+    }
+    if (WALLETS.length === 0) {
+        throw new Error('No wallets found, check the "wallets" block in config.json');
+    }
+    return WALLETS;
+}
+
+// Health-check the RPC endpoints; at least one has to serve the chain of the
+// selected network profile
+async function connect() {
+    const endpoints = await withRetry(async () => {
+        const status = await PROVIDER.checkHealth();
+        if (status.some(endpoint => endpoint.healthy)) return status;
+        // Only unreachable endpoints: retried like any other network error
+        if (status.every(endpoint => endpoint.error)) throw status[0].error;
+        throw new Error(`No healthy RPC endpoint for network "${NETWORK.name}": ` +
+            status.map(endpoint => `${endpoint.url} ${endpoint.reason}`).join(', '));
+    });
+    const healthy = endpoints.filter(endpoint => endpoint.healthy);
+    logger.info(`Connected to ${NETWORK.name}`, {
+        chainId: NETWORK.chainId,
+        rpc: healthy[0].url,
+        endpoints: `${healthy.length}/${endpoints.length} healthy`
+    });
+    return NETWORK.chainId;
+}
+
+// Run one cycle of the enabled tasks over `wallets`. `selected` limits the cycle to
+// some wallet indexes (0-based) while keeping their numbering in the logs.
+async function runCycle(config, wallets, { dryRun = false, selected = null } = {}) {
+    const queue = selected || wallets.map((_, i) => i);
+
+    logger.info(dryRun ? 'Bot started in dry-run mode' : 'Bot started', { 
+        walletsCount: queue.length,
+        tasksEnabled: Object.fromEntries(Object.entries(config.tasks).map(([name, task]) => [name, task.enabled])),
+        taskOrder: config.task_order
+    });
+
+    // Resume an interrupted cycle from the journal (dry runs are not journaled)
+    const journal = dryRun ? null : new Journal(path.join(__dirname, 'data', 'journal.jsonl'));
+    const { cycleId, resumed } = journal ? journal.startCycle() : {};
+    const registry = new ContractRegistry(path.join(__dirname, 'data', 'contracts.json'));
+    if (resumed) {
+        logger.info('Resuming interrupted cycle from journal', { cycleId });
+    }
+
+    // Process wallets, up to `concurrency` at a time. Each worker waits
+    // between_wallets seconds before picking up its next wallet.
+    const dryRunPlans = [];
+    const reports = [];
+    const concurrency = Math.max(1, Math.min(config.concurrency || 1, queue.length));
+    let next = 0;
+
+    const worker = async () => {
+        while (next < queue.length && !isShuttingDown()) {
+            const i = queue[next++];
+            if (journal && journal.isWalletFinished(cycleId, wallets[i].address)) {
+                logger.info('Wallet already processed in this cycle, skipping', { walletIndex: i + 1 });
+                continue;
             }
-        });
 
-        // Process wallets
-        for (let i = 0; i < privateKeys.length; i++) {
-            await processWallet(privateKeys[i], i, privateKeys.length, config);
-            
-            if (i < privateKeys.length - 1) {
+            const result = await withLogContext({ walletIndex: i + 1, wallet: wallets[i].address }, () => processWallet(
+                wallets[i],
+                i,
+                wallets.length,
+                config,
+                { dryRun, journal, cycleId, registry }
+            ));
+            if (dryRun) {
+                dryRunPlans[i] = result;
+                continue;
+            }
+            reports[i] = result;
+
+            if (next < queue.length) {
                 const delay = config.delay.between_wallets;
                 logger.info(`Waiting ${delay}s before next wallet`, { 
                     walletIndex: i + 1,
-                    nextWallet: i + 2 
+                    nextWallet: queue[next] + 1 
                 });
                 await sleep(delay * 1000);
             }
         }
+    };
 
-        logger.info('All wallets processed successfully');
-        
-        // Wait for all logs to be displayed
-        await sleep(1000);
-        
-        // Start 25-hour countdown
-        const HOURS_25 = 25 * 60 * 60;
-        console.log('\n' + chalk.cyan('╭────────────────────────────────────────────────────────────╮'));
-        console.log(chalk.cyan('│') + chalk.yellow(' Wallet processing completed! Starting 25-hour countdown... ') + chalk.cyan('│'));
-        console.log(chalk.cyan('╰────────────────────────────────────────────────────────────╯\n'));
-        
-        return new Promise((resolve) => {
-            let remainingTime = HOURS_25;
-            const countdownInterval = setInterval(() => {
-                remainingTime--;
-                
-                const timeObj = {
-                    hours: Math.floor(remainingTime / 3600).toString().padStart(2, '0'),
-                    minutes: Math.floor((remainingTime % 3600) / 60).toString().padStart(2, '0'),
-                    seconds: (remainingTime % 60).toString().padStart(2, '0')
-                };
-                
-                // Update countdown display
-                process.stdout.clearLine(0);
-                process.stdout.cursorTo(0);
-                process.stdout.write(
-                    chalk.gray(`Time Remaining: `) + 
-                    chalk.cyan(`${timeObj.hours}:${timeObj.minutes}:${timeObj.seconds}`)
-                );
-                
-                if (remainingTime <= 0) {
-                    clearInterval(countdownInterval);
-                    console.log('\n\n' + chalk.cyan('╭────────────────────────────────────╮'));
-                    console.log(chalk.cyan('│') + chalk.green(' Countdown completed! Restarting... ') + chalk.cyan('│'));
-                    console.log(chalk.cyan('╰────────────────────────────────────╯\n'));
-                    resolve();
-                }
-            }, 1000);
-        });
+    if (concurrency > 1) {
+        logger.info(`Processing up to ${concurrency} wallets in parallel`);
+    }
+    await withLogContext({ cycleId }, () => Promise.all(Array.from({ length: concurrency }, worker)));
 
-    } catch (error) {
-        logger.error('Fatal error in main process', { 
-            error: error.message
-        });
-        process.exit(1);
+    if (dryRun) {
+        const planPath = path.join(__dirname, 'logs', `dry-run-${Date.now()}.json`);
+        fs.writeFileSync(planPath, JSON.stringify({ network: NETWORK.name, wallets: dryRunPlans.filter(Boolean) }, null, 2));
+        logger.info('Dry run completed, nothing was broadcast', { plan: planPath });
+        return { plans: dryRunPlans.filter(Boolean) };
     }
-}
 
-// Start bot with error handling
-async function startBot() {
-    try {
-        while (true) {
-            await main(); // Wait for countdown to complete
-            logger.info('Cycle completed, starting next iteration');
-        }
-    } catch (error) {
-        logger.error('Critical bot error', { 
-            error: error.message
-        });
-        process.exit(1);
+    // An interrupted cycle is left open so the next start resumes it
+    const interrupted = isShuttingDown();
+    if (!interrupted) journal.finishCycle(cycleId);
+
+    // Wallets finished by an earlier run of this cycle have no report entry
+    const walletReports = reports.filter(Boolean);
+    const { files, table } = writeCycleReport(path.join(__dirname, 'logs'), {
+        cycleId,
+        network: NETWORK.name,
+        finishedAt: new Date().toISOString(),
+        wallets: walletReports
+    });
+    console.log('\n' + table);
+    logger.info('Cycle report written', { cycleId, json: files.json, csv: files.csv, table: files.table });
+
+    const failedWallets = walletReports.filter(report => report.status === 'failed').length;
+    if (interrupted) {
+        logger.warn('Cycle interrupted by shutdown, it resumes on the next start', { cycleId });
+    } else if (failedWallets > 0) {
+        logger.warn(`Cycle finished, ${failedWallets} of ${walletReports.length} wallets failed`, { cycleId });
+    } else {
+        logger.info('All wallets processed successfully', { cycleId });
     }
+
+    const count = (status) => walletReports.filter(report => report.status === status).length;
+    const transactions = walletReports.flatMap(report => Object.values(report.tasks));
+    const sum = (key) => transactions.reduce((total, counts) => total + counts[key], 0);
+    await notify('cycle_completed', interrupted || failedWallets > 0 ? 'warning' : 'info',
+        `Cycle ${cycleId} ${interrupted ? 'interrupted' : 'completed'} on ${NETWORK.name}`, {
+            fields: {
+                wallets: walletReports.length,
+                completed: count('completed'),
+                failed: failedWallets,
+                skipped: count('skipped'),
+                transactions: `${sum('sent')} sent, ${sum('succeeded')} succeeded, ${sum('failed')} failed`,
+                gas: `${ethers.utils.formatEther(walletReports.reduce((total, report) => total.add(report.gasCost), ethers.BigNumber.from(0)))} CBTC`,
+                contracts: walletReports.reduce((total, report) => total + report.contracts.length, 0),
+                report: files.table
+            }
+        });
+    await NOTIFIER.flush();
+    return { cycleId, reports: walletReports, interrupted };
 }
 
-startBot().catch(error => {
-    logger.error('Unhandled error', { 
-        error: error.message
-    });
-    process.exit(1);
-});
+module.exports = {
+    CitreaBot,
+    CONTRACTS,
+    logger,
+    withRetry,
+    getConstructorArgs,
+    getTasks,
+    processWallet,
+    ensureDirectories,
+    enableFileLogging,
+    loadConfig,
+    configure,
+    validateConfig,
+    getWallets,
+    connect,
+    runCycle,
+    notify
+};
 
-module.exports = { CitreaBot, logger };
+// Running this file directly starts the CLI; requiring it has no side effects
+if (require.main === module) {
+    require('./src/cli').main(process.argv.slice(2));
+}
@@ -0,0 +1,401 @@
+const path = require('path');
+const chalk = require('chalk');
+const bot = require('../index');
+const { ContractRegistry } = require('./lib/registry');
+const { withLogContext } = require('./lib/context');
+const { formatGrid } = require('./lib/report');
+const { ConfigError } = require('./lib/config');
+const { Scheduler } = require('./lib/scheduler');
+const { installSignalHandlers, isShuttingDown } = require('./lib/shutdown');
+const { readLogEntries, filterEntries, summarizeEntries, formatEntry } = require('./lib/logs');
+const { formatAllowance } = require('./lib/allowances');
+
+const { logger } = bot;
+const ROOT_DIR = path.join(__dirname, '..');
+
+const USAGE = `Usage: node index.js <command> [options]
+
+Commands:
+  run                          Run cycles on the configured schedule (default)
+  once                         Run a single cycle and exit
+  balances                     Show the CBTC and USDC balance of each wallet
+  deploy <ContractType>        Deploy a contract template (${Object.keys(bot.CONTRACTS).join(', ')})
+  swap <path> <amount>         Swap between CBTC and the network's tokens, e.g.
+                               cbtc-to-usdc or usdc-to-wcbtc-to-dai (multi-hop)
+  self-transfer <amount>       Send CBTC from each wallet to itself
+  wrap <amount>                Wrap CBTC into WCBTC
+  unwrap <amount>              Unwrap WCBTC into CBTC
+  allowances [revoke] [token]  List the router allowances each wallet granted,
+                               or revoke them (all tokens, or one)
+  verify                       Verify deployed contracts that are not verified
+                               on the explorer yet
+  config validate              Check config.json without sending anything
+  logs [summary]               Show log entries, or count them per wallet, task
+                               and error type
+
+Options:
+  --wallet <index|address>     Only use these wallets (1-based index or address,
+                               repeatable or comma separated)
+  --network <name>             Network profile to use
+  --config <path>              Config file (default src/config/config.json)
+  --dry-run                    Simulate transactions instead of sending them
+  --help                       Show this help
+
+Log filters (logs command):
+  --wallet <index|address>     Only entries of these wallets
+  --task <name>                Only entries of a task (self_transfer,
+                               contract_deploy, swap, ...)
+  --error <type>               Only errors of a category (network, nonce, fee,
+                               revert, funds, unknown) or "any"
+  --level <level>              Only entries of a level (info, warn, error)
+  --cycle <id>                 Only entries of a cycle
+  --limit <count>              Number of entries shown (default 50)`;
+
+const FLAGS = ['dry-run', 'help'];
+const OPTIONS = ['wallet', 'network', 'config', 'task', 'error', 'level', 'cycle', 'limit'];
+
+// Split argv into positionals and --options ("--name value" or "--name=value")
+function parseArgs(argv) {
+    const positionals = [];
+    const options = { wallet: [] };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (!arg.startsWith('--')) {
+            positionals.push(arg);
+            continue;
+        }
+
+        const [name, inline] = arg.slice(2).split(/=(.*)/s);
+        if (FLAGS.includes(name)) {
+            options[name] = true;
+        } else if (OPTIONS.includes(name)) {
+            const value = inline !== undefined ? inline : argv[++i];
+            if (value === undefined) throw new Error(`Missing value for --${name}`);
+            if (name === 'wallet') options.wallet.push(...value.split(',').filter(Boolean));
+            else options[name] = value;
+        } else {
+            throw new Error(`Unknown option --${name}`);
+        }
+    }
+    return { positionals, options };
+}
+
+// Resolve --wallet selectors to 0-based wallet indexes (all wallets when none given)
+function selectWallets(wallets, selectors) {
+    if (selectors.length === 0) return wallets.map((_, i) => i);
+
+    return [...new Set(selectors.map(selector => {
+        if (/^\d+$/.test(selector)) {
+            const index = Number(selector) - 1;
+            if (index < 0 || index >= wallets.length) {
+                throw new Error(`Wallet index ${selector} is out of range (1-${wallets.length})`);
+            }
+            return index;
+        }
+
+        const index = wallets.findIndex(wallet => wallet.address.toLowerCase() === selector.toLowerCase());
+        if (index === -1) throw new Error(`Wallet ${selector} is not in the configured wallets`);
+        return index;
+    }))];
+}
+
+function parseAmount(value) {
+    const amount = Number(value);
+    if (!value || !Number.isFinite(amount) || amount <= 0) {
+        throw new Error(`Invalid amount "${value}"`);
+    }
+    return amount;
+}
+
+// Load config, select the network and resolve the selected wallets
+async function setup(options) {
+    bot.ensureDirectories();
+    const config = bot.loadConfig(options.config && path.resolve(options.config));
+    bot.configure(config, { network: options.network });
+    const wallets = await bot.getWallets(config);
+    const selected = selectWallets(wallets, options.wallet);
+    return { config, wallets, selected };
+}
+
+// Run `action` with a CitreaBot for each selected wallet, one after another.
+// `adjustConfig` can change the loaded config before the bots are created.
+async function forEachWallet(options, action, { adjustConfig = config => config } = {}) {
+    const { config: loaded, wallets, selected } = await setup(options);
+    const config = adjustConfig(loaded);
+    await bot.connect();
+    const registry = new ContractRegistry(path.join(ROOT_DIR, 'data', 'contracts.json'));
+
+    let failed = 0;
+    for (const i of selected) {
+        if (isShuttingDown()) break;
+        await withLogContext({ walletIndex: i + 1, wallet: wallets[i].address }, async () => {
+            const instance = new bot.CitreaBot(wallets[i], config, { dryRun: Boolean(options['dry-run']), registry });
+            try {
+                await action(instance, config);
+            } catch (error) {
+                failed++;
+                logger.error('Command failed', { address: instance.wallet.address, error: error.message });
+            }
+        });
+    }
+    if (failed > 0) process.exitCode = 1;
+}
+
+const COMMANDS = {
+    // Config is reloaded before every cycle; a dry run runs a single cycle right away
+    async run(args, options) {
+        const dryRun = Boolean(options['dry-run']);
+
+        while (!isShuttingDown()) {
+            const { config, wallets, selected } = await setup(options);
+            const scheduler = new Scheduler(config.schedule, { baseDir: ROOT_DIR, logger });
+            if (!dryRun && !await scheduler.waitUntil(scheduler.getDueTime())) break;
+
+            await bot.connect();
+            const startedAt = new Date();
+            const { interrupted } = await bot.runCycle(config, wallets, { dryRun, selected });
+            if (dryRun || interrupted) break;
+
+            scheduler.recordRun(startedAt);
+        }
+        logger.info('Bot stopped');
+    },
+
+    async once(args, options) {
+        const { config, wallets, selected } = await setup(options);
+        await bot.connect();
+        await bot.runCycle(config, wallets, { dryRun: Boolean(options['dry-run']), selected });
+    },
+
+    async balances(args, options) {
+        const { config, wallets, selected } = await setup(options);
+        await bot.connect();
+
+        const rows = [];
+        for (const i of selected) {
+            const balances = await new bot.CitreaBot(wallets[i], config).getBalances();
+            rows.push([i + 1, wallets[i].address, balances ? balances.cbtc : '?', balances ? balances.usdc : '?']);
+        }
+        console.log(formatGrid([['Wallet', 'Address', 'CBTC', 'USDC'], ...rows]));
+    },
+
+    async deploy([contractType], options) {
+        if (!bot.CONTRACTS[contractType]) {
+            throw new Error(`Unknown contract type "${contractType || ''}", expected one of: ${Object.keys(bot.CONTRACTS).join(', ')}`);
+        }
+
+        await forEachWallet(options, async (instance, config) => {
+            const constructorArgs = bot.getConstructorArgs(contractType, config.tasks.contract_deploy.settings, {
+                address: instance.wallet.address,
+                registry: instance.registry
+            });
+            logger.info('Deploying contract', { contractType });
+            const deployed = await instance.deployContract(contractType, constructorArgs);
+            if (!instance.dryRun) {
+                logger.info('Contract deployed', { address: deployed.address });
+            }
+        });
+    },
+
+    // The path lists token names (or addresses) joined by "-to-", amount is in the first token
+    async swap([route, value], options) {
+        const path = (route || '').split(/-to-|_to_/i);
+        if (path.length < 2 || path.some(token => !token)) {
+            throw new Error(`Invalid swap path "${route || ''}", expected e.g. cbtc-to-usdc or usdc-to-wcbtc-to-dai`);
+        }
+        const amount = parseAmount(value);
+
+        await forEachWallet(options, async (instance) => {
+            const receipt = await instance.swapTokens(path, amount);
+            if (receipt && !instance.dryRun) {
+                logger.info('Swap successful', { txHash: receipt.transactionHash });
+            }
+        });
+    },
+
+    async 'self-transfer'([value], options) {
+        const amount = parseAmount(value);
+
+        await forEachWallet(options, async (instance) => {
+            const receipt = await instance.selfTransfer(amount);
+            if (receipt && !instance.dryRun) {
+                logger.info('Transfer successful', { txHash: receipt.transactionHash });
+            }
+        });
+    },
+
+    async wrap([value], options) {
+        const amount = parseAmount(value);
+
+        await forEachWallet(options, async (instance) => {
+            const receipt = await instance.wrapCBTC(amount);
+            if (receipt && !instance.dryRun) {
+                logger.info('Wrap successful', { txHash: receipt.transactionHash });
+            }
+        });
+    },
+
+    async unwrap([value], options) {
+        const amount = parseAmount(value);
+
+        await forEachWallet(options, async (instance) => {
+            const receipt = await instance.unwrapCBTC(amount);
+            if (receipt && !instance.dryRun) {
+                logger.info('Unwrap successful', { txHash: receipt.transactionHash });
+            }
+        });
+    },
+
+    // Allowances of the configured tokens (or `token`) for the network's router
+    async allowances([action, token], options) {
+        if (action && action !== 'revoke') {
+            throw new Error(`Unknown allowances action "${action}", expected: revoke`);
+        }
+        const refs = token ? [token] : undefined;
+
+        if (action === 'revoke') {
+            await forEachWallet(options, async (instance) => {
+                const revoked = await instance.revokeAllowances(refs);
+                if (revoked.length === 0) {
+                    logger.info('No router allowances to revoke', { address: instance.wallet.address });
+                } else if (!instance.dryRun) {
+                    revoked.forEach(entry => logger.info(`${entry.token.symbol} allowance revoked`, { txHash: entry.receipt.transactionHash }));
+                }
+            });
+            return;
+        }
+
+        const { config, wallets, selected } = await setup(options);
+        await bot.connect();
+
+        const rows = [];
+        for (const i of selected) {
+            const entries = await new bot.CitreaBot(wallets[i], config).listAllowances(refs);
+            entries.forEach(entry => rows.push([i + 1, wallets[i].address, entry.token.symbol, formatAllowance(entry.token, entry.allowance)]));
+        }
+        if (rows.length === 0) {
+            console.log('No router allowances');
+            return;
+        }
+        console.log(formatGrid([['Wallet', 'Address', 'Token', 'Allowance'], ...rows]));
+    },
+
+    // Runs even when automatic verification after deployment is disabled
+    async verify(args, options) {
+        const adjustConfig = config => ({ ...config, verification: { ...config.verification, enabled: true } });
+
+        await forEachWallet(options, async (instance) => {
+            const entries = instance.listUnverified();
+            if (entries.length === 0) {
+                logger.info('No unverified contracts', { address: instance.wallet.address });
+                return;
+            }
+
+            let unverified = 0;
+            for (const entry of entries) {
+                if (isShuttingDown()) break;
+                try {
+                    const { status } = await instance.verifyContract(entry);
+                    if (status !== 'verified') unverified++;
+                } catch (error) {
+                    unverified++;
+                    logger.error('Contract verification failed', { address: entry.address, error: error.message });
+                }
+            }
+            if (unverified > 0) {
+                throw new Error(`${unverified} of ${entries.length} contracts are not verified`);
+            }
+        }, { adjustConfig });
+    },
+
+    // Reads the JSON log files written by the other commands
+    async logs([action], options) {
+        if (action && action !== 'summary') {
+            throw new Error(`Unknown logs action "${action}", expected: summary`);
+        }
+
+        const { entries, skipped } = readLogEntries(path.join(ROOT_DIR, 'logs'));
+        const matched = filterEntries(entries, {
+            wallet: options.wallet,
+            task: options.task,
+            error: options.error,
+            level: options.level,
+            cycle: options.cycle
+        });
+
+        if (action === 'summary') {
+            const summary = summarizeEntries(matched);
+            const grid = (title, groups) => formatGrid([
+                [title, 'Entries', 'Warnings', 'Errors'],
+                ...Object.entries(groups).map(([name, counts]) => [name, counts.entries, counts.warnings, counts.errors])
+            ]);
+
+            console.log(`${summary.total} entries from ${summary.cycles} cycles`);
+            [['Wallet', summary.wallets], ['Task', summary.tasks], ['Error type', summary.errorTypes]]
+                .filter(([, groups]) => Object.keys(groups).length > 0)
+                .forEach(([title, groups]) => console.log(grid(title, groups)));
+        } else {
+            const limit = options.limit === undefined ? 50 : Number(options.limit);
+            if (!Number.isInteger(limit) || limit < 1) throw new Error(`Invalid limit "${options.limit}"`);
+
+            matched.slice(-limit).forEach(entry => console.log(formatEntry(entry)));
+            if (matched.length > limit) {
+                console.log(chalk.gray(`Showing the last ${limit} of ${matched.length} entries, use --limit to see more`));
+            }
+        }
+        if (skipped > 0) {
+            console.log(chalk.gray(`Skipped ${skipped} lines that are not JSON (written before structured logging)`));
+        }
+    },
+
+    async config([action], options) {
+        if (action !== 'validate') {
+            throw new Error(`Unknown config action "${action || ''}", expected: validate`);
+        }
+
+        const configPath = options.config && path.resolve(options.config);
+        let problems;
+        try {
+            problems = bot.validateConfig(bot.loadConfig(configPath), { network: options.network });
+        } catch (error) {
+            if (!(error instanceof ConfigError)) throw error;
+            problems = error.problems;
+        }
+        if (problems.length > 0) {
+            problems.forEach(problem => console.log(chalk.red(`✗ ${problem}`)));
+            process.exitCode = 1;
+            return;
+        }
+        console.log(chalk.green('✓ Config is valid'));
+    }
+};
+
+async function main(argv) {
+    try {
+        const { positionals, options } = parseArgs(argv);
+        const [command = 'run', ...args] = positionals;
+
+        if (options.help || command === 'help') {
+            console.log(USAGE);
+            return;
+        }
+        if (!COMMANDS[command]) {
+            throw new Error(`Unknown command "${command}", run with --help for usage`);
+        }
+
+        if (!['config', 'logs'].includes(command)) {
+            bot.enableFileLogging();
+            installSignalHandlers(logger);
+        }
+        await COMMANDS[command](args, options);
+    } catch (error) {
+        logger.error('Fatal error in main process', {
+            error: error.message
+        });
+        await bot.notify('fatal', 'error', 'Fatal error in main process', { message: error.message });
+        process.exit(1);
+    }
+}
+
+module.exports = { main, parseArgs, selectWallets };
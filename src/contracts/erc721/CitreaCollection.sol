@@ -0,0 +1,49 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "./ERC721.sol";
+
+// NFT collection anyone can mint from until maxSupply is reached; the owner sets the base URI
+contract CitreaCollection is ERC721 {
+    address public owner;
+    uint256 public maxSupply;
+    uint256 public totalSupply;
+    string private _baseURI;
+
+    constructor(string memory _name, string memory _symbol, address _owner, uint256 _maxSupply)
+        ERC721(_name, _symbol)
+    {
+        owner = _owner;
+        maxSupply = _maxSupply;
+    }
+
+    function mint() public returns (uint256) {
+        require(totalSupply < maxSupply, "Sold out");
+        uint256 tokenId = totalSupply;
+        totalSupply += 1;
+        _safeMint(msg.sender, tokenId);
+        return tokenId;
+    }
+
+    function setBaseURI(string memory baseURI) public {
+        require(msg.sender == owner, "Not owner");
+        _baseURI = baseURI;
+    }
+
+    function tokenURI(uint256 tokenId) public view override returns (string memory) {
+        require(_exists(tokenId), "Token does not exist");
+        return string(abi.encodePacked(_baseURI, _toString(tokenId)));
+    }
+
+    function _toString(uint256 value) private pure returns (string memory) {
+        if (value == 0) return "0";
+        uint256 digits;
+        for (uint256 temp = value; temp != 0; temp /= 10) digits++;
+        bytes memory buffer = new bytes(digits);
+        while (value != 0) {
+            buffer[--digits] = bytes1(uint8(48 + value % 10));
+            value /= 10;
+        }
+        return string(buffer);
+    }
+}
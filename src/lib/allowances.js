@@ -0,0 +1,83 @@
+const { ethers } = require('ethers');
+const { ERC20_ABI, formatAmount } = require('./tokens');
+
+// "exact" approves the amount a transaction needs, "infinite" approves the token's
+// cap from approvals.caps, or the maximum uint256 when it has none
+const APPROVAL_POLICIES = ['exact', 'infinite'];
+
+// Default approval settings (overridable via the "approvals" block in config.json);
+// caps map token names to amounts in token units
+const APPROVAL_DEFAULTS = {
+    policy: 'exact',
+    caps: {}
+};
+
+// Allowance for display; approvals of the maximum uint256 (which some tokens
+// count down as they are spent) show as "unlimited"
+function formatAllowance(token, allowance) {
+    if (allowance.gte(ethers.constants.MaxUint256.div(2))) return `unlimited ${token.symbol}`;
+    return `${ethers.utils.formatUnits(allowance, token.decimals)} ${token.symbol}`;
+}
+
+// Cap names have to be tokens of the network; returns "<path>: <problem>" strings
+function checkCaps(settings, tokens) {
+    return Object.keys((settings && settings.caps) || {}).flatMap(name => {
+        try {
+            tokens.resolve(name);
+            return [];
+        } catch (error) {
+            return [`approvals.caps.${name}: ${error.message}`];
+        }
+    });
+}
+
+// Reads allowances and decides what to approve. Approvals are only sent when the
+// current allowance does not cover a transaction.
+class AllowanceManager {
+    constructor(provider, settings = {}, { tokens }) {
+        this.provider = provider;
+        this.settings = { ...APPROVAL_DEFAULTS, ...settings };
+        this.tokens = tokens;
+    }
+
+    // Allowance `owner` granted `spender` for `token` ({ address, symbol, decimals })
+    async allowance(token, owner, spender) {
+        return new ethers.Contract(token.address, ERC20_ABI, this.provider).allowance(owner, spender);
+    }
+
+    // The configured cap of `token` in its smallest unit, or null when it has none
+    getCap(token) {
+        const name = Object.keys(this.settings.caps).find(key =>
+            this.tokens.resolve(key).address.toLowerCase() === token.address.toLowerCase());
+        if (!name) return null;
+        return ethers.utils.parseUnits(formatAmount(this.settings.caps[name], token.decimals), token.decimals);
+    }
+
+    // Amount to approve so `spender` can take `amount`, following the policy.
+    // A cap below `amount` is raised to it.
+    approvalAmount(token, amount) {
+        if (this.settings.policy === 'exact') return amount;
+        const cap = this.getCap(token);
+        if (!cap) return ethers.constants.MaxUint256;
+        return cap.gt(amount) ? cap : amount;
+    }
+
+    // Amount to approve, or null when the current allowance covers `amount`
+    async needed(token, owner, spender, amount) {
+        const current = await this.allowance(token, owner, spender);
+        if (current.gte(amount)) return null;
+        return this.approvalAmount(token, amount);
+    }
+
+    // Non-zero allowances of `owner` for `spender` over the token refs in `refs`
+    async list(refs, owner, spender) {
+        const entries = await Promise.all(refs.map(async (ref) => {
+            const token = await this.tokens.get(ref, this.provider);
+            const allowance = await this.allowance(token, owner, spender);
+            return { ref, token, allowance };
+        }));
+        return entries.filter(entry => !entry.allowance.isZero());
+    }
+}
+
+module.exports = { APPROVAL_POLICIES, APPROVAL_DEFAULTS, formatAllowance, checkCaps, AllowanceManager };
@@ -0,0 +1,124 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const CONTRACTS_DIR = path.join(__dirname, '..', 'contracts');
+const ARTIFACTS_DIR = path.join(__dirname, '..', 'artifacts');
+
+// Where artifacts are read and written; the test harness points this at its own build
+let artifactsDir = ARTIFACTS_DIR;
+
+function setArtifactsDir(dir) {
+    artifactsDir = dir;
+}
+
+function hashSource(content) {
+    return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+function readSource(sourceName) {
+    return fs.readFileSync(path.join(CONTRACTS_DIR, sourceName), 'utf8');
+}
+
+// Load the compiled ABI/bytecode for a contract produced by `npm run compile`
+function loadArtifact(contractName) {
+    const file = path.join(artifactsDir, `${contractName}.json`);
+    if (!fs.existsSync(file)) {
+        throw new Error(`Artifact for ${contractName} not found, run "npm run compile" first`);
+    }
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+// Load every artifact, grouped by the source file that produced it
+function loadArtifactsBySource() {
+    if (!fs.existsSync(artifactsDir)) return {};
+
+    return fs.readdirSync(artifactsDir)
+        .filter(file => file.endsWith('.json'))
+        .map(file => JSON.parse(fs.readFileSync(path.join(artifactsDir, file), 'utf8')))
+        .reduce((groups, artifact) => {
+            (groups[artifact.sourceName] = groups[artifact.sourceName] || []).push(artifact);
+            return groups;
+        }, {});
+}
+
+// An artifact is fresh when it was built by the same compiler from the same sources
+// Artifacts built before they carried their standard JSON input are rebuilt,
+// since explorer verification needs it.
+function isArtifactFresh(artifact, compilerVersion) {
+    if (!artifact || artifact.compilerVersion !== compilerVersion || !artifact.solcInput) return false;
+
+    return Object.entries(artifact.sourceHashes || {}).every(([sourceName, hash]) => {
+        const file = path.join(CONTRACTS_DIR, sourceName);
+        return fs.existsSync(file) && hashSource(fs.readFileSync(file, 'utf8')) === hash;
+    });
+}
+
+// Compile a single source file (and whatever it imports) with solc. `evmVersion`
+// targets an older EVM than the compiler default (e.g. "paris" for Ganache).
+function compileSource(solc, sourceName, { evmVersion } = {}) {
+    const sourceHashes = { [sourceName]: hashSource(readSource(sourceName)) };
+    const sources = { [sourceName]: { content: readSource(sourceName) } };
+
+    const findImports = (importPath) => {
+        const file = path.join(CONTRACTS_DIR, importPath);
+        if (!fs.existsSync(file)) return { error: `File not found: ${importPath}` };
+        const content = fs.readFileSync(file, 'utf8');
+        sourceHashes[importPath] = hashSource(content);
+        sources[importPath] = { content };
+        return { contents: content };
+    };
+
+    const input = {
+        language: 'Solidity',
+        sources: { [sourceName]: sources[sourceName] },
+        settings: {
+            ...(evmVersion ? { evmVersion } : {}),
+            outputSelection: {
+                '*': {
+                    '*': ['abi', 'evm.bytecode.object']
+                }
+            }
+        }
+    };
+
+    const output = JSON.parse(solc.compile(JSON.stringify(input), { import: findImports }));
+    const diagnostics = output.errors || [];
+    const errors = diagnostics.filter(d => d.severity === 'error');
+    const warnings = diagnostics.filter(d => d.severity !== 'error');
+
+    const artifacts = errors.length > 0 ? [] : Object.entries(output.contracts[sourceName] || {})
+        .filter(([, contract]) => contract.evm.bytecode.object)
+        .map(([contractName, contract]) => ({
+            contractName,
+            sourceName,
+            compilerVersion: solc.version(),
+            sourceHashes,
+            abi: contract.abi,
+            bytecode: `0x${contract.evm.bytecode.object}`,
+            // Standard JSON input with every imported source, for explorer verification
+            solcInput: { ...input, sources }
+        }));
+
+    return { artifacts, errors, warnings };
+}
+
+function writeArtifact(artifact) {
+    fs.mkdirSync(artifactsDir, { recursive: true });
+    fs.writeFileSync(
+        path.join(artifactsDir, `${artifact.contractName}.json`),
+        JSON.stringify(artifact, null, 2)
+    );
+}
+
+module.exports = {
+    CONTRACTS_DIR,
+    ARTIFACTS_DIR,
+    setArtifactsDir,
+    hashSource,
+    loadArtifact,
+    loadArtifactsBySource,
+    isArtifactFresh,
+    compileSource,
+    writeArtifact
+};
@@ -0,0 +1,382 @@
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+const { DEFAULT_NETWORK, BUILTIN_NETWORKS } = require('./network');
+const { FEE_DEFAULTS } = require('./fees');
+const { DEFAULT_ERROR_POLICIES, STRATEGIES } = require('./errors');
+const { SUPERVISOR_DEFAULTS } = require('./supervisor');
+const { WALLET_DEFAULTS } = require('./wallets');
+const { SCHEDULE_DEFAULTS, Scheduler } = require('./scheduler');
+const { PREFLIGHT_DEFAULTS } = require('./preflight');
+const { VERIFICATION_DEFAULTS } = require('./verifier');
+const { NOTIFY_DEFAULTS, CHANNEL_TYPES, SEVERITIES } = require('./notify');
+const { BUILTIN_TASKS, TASK_ORDERS, TaskRegistry } = require('./tasks');
+const { REQUIRED_TOKENS, NATIVE_SYMBOL } = require('./tokens');
+const { RPC_DEFAULTS } = require('./rpc');
+const { APPROVAL_DEFAULTS, APPROVAL_POLICIES } = require('./allowances');
+
+// Raised when config.json cannot be used; `problems` lists every path that failed
+class ConfigError extends Error {
+    constructor(file, problems) {
+        super(`Invalid ${path.basename(file)}:\n${problems.map(problem => `  - ${problem}`).join('\n')}`);
+        this.name = 'ConfigError';
+        this.file = file;
+        this.problems = problems;
+    }
+}
+
+// Schema nodes. `default` fills missing values, `check` adds cross-field rules.
+const number = (options = {}) => ({ type: 'number', ...options });
+const integer = (options = {}) => ({ type: 'integer', ...options });
+const boolean = (options = {}) => ({ type: 'boolean', ...options });
+const string = (options = {}) => ({ type: 'string', ...options });
+const address = (options = {}) => ({ type: 'address', ...options });
+const oneOf = (values, options = {}) => ({ type: 'enum', values, ...options });
+const array = (items, options = {}) => ({ type: 'array', items, ...options });
+const object = (properties, options = {}) => ({ type: 'object', properties, ...options });
+const record = (values, options = {}) => ({ type: 'record', values, ...options });
+const anyOf = (schemas, options = {}) => ({ type: 'any', schemas, ...options });
+
+const minNotAboveMax = (value) => (value.min > value.max ? `min (${value.min}) must not be greater than max (${value.max})` : null);
+
+// A { min, max } pair with min <= max
+const range = ({ min, max, integer: whole = false, minimum = 0, extra = {} }) => object({
+    min: (whole ? integer : number)({ min: minimum, default: min }),
+    max: (whole ? integer : number)({ min: minimum, default: max }),
+    ...extra
+}, { check: minNotAboveMax });
+
+// Cron expressions and windows are checked by building the scheduler
+function checkSchedule(schedule) {
+    try {
+        new Scheduler(schedule).nextRunAfter(new Date());
+        return null;
+    } catch (error) {
+        return error.message;
+    }
+}
+
+// Fields a notification channel cannot work without
+function checkChannel(channel) {
+    if (channel.type === 'webhook' && !channel.url) return 'url is required for webhook channels';
+    if (channel.type === 'telegram' && (channel.chat_id === undefined || channel.chat_id === null)) {
+        return 'chat_id is required for telegram channels';
+    }
+    return null;
+}
+
+// The zero address is the placeholder of profiles like "local" that were never filled in
+const notZeroAddress = (value) => (value === ethers.constants.AddressZero
+    ? 'is the zero address, set the router and token addresses of your deployment'
+    : null);
+
+// Token names are used in swap routes; CBTC is the native coin
+function checkTokens(tokens) {
+    const missing = REQUIRED_TOKENS.filter(name => !tokens[name]);
+    if (missing.length > 0) return `${missing.join(' and ')} must be defined`;
+    const native = Object.keys(tokens).find(name => name.toUpperCase() === NATIVE_SYMBOL);
+    return native ? `"${native}" is reserved for the native coin` : null;
+}
+
+const repeatTimes = (min, max) => range({ min, max, integer: true });
+const decimals = (value) => integer({ min: 0, max: 18, default: value });
+
+// Handed to task modules to describe their settings
+const SCHEMA_HELPERS = { number, integer, boolean, string, address, oneOf, array, object, record, anyOf, range, repeatTimes, decimals };
+
+function errorPolicy(defaults) {
+    const policy = object({
+        strategy: oneOf(STRATEGIES, { default: defaults.strategy }),
+        max_attempts: integer({ min: 1, default: defaults.max_attempts }),
+        initial_delay: integer({ min: 0, default: defaults.initial_delay }),
+        max_delay: integer({ min: 0, default: defaults.max_delay }),
+        backoff_factor: number({ min: 1, default: defaults.backoff_factor }),
+        bump_percent: number({ min: 0, default: defaults.bump_percent }),
+        on_exhausted: oneOf(['skip_task', 'abort_wallet'], { default: defaults.on_exhausted })
+    });
+    return policy;
+}
+
+// Schema of config.json; the defaults double as the generated default config.
+// The "tasks" block is made of the schemas of the task modules in `tasks`.
+function createSchema({ contractTypes, tasks = new TaskRegistry(BUILTIN_TASKS) }) {
+    return object({
+        network: string({ default: DEFAULT_NETWORK }),
+        networks: record(object({
+            chain_id: integer({ min: 1, required: true }),
+            rpc_urls: anyOf([string(), array(string(), { minItems: 1 })], { required: true }),
+            router: address({ required: true, check: notZeroAddress }),
+            tokens: record(address({ check: notZeroAddress }), { required: true, check: checkTokens }),
+            explorer_tx_url: string({ nullable: true, default: null }),
+            explorer_api_url: string({ nullable: true, default: null })
+        }), { default: BUILTIN_NETWORKS }),
+        rpc: object({
+            timeout_seconds: number({ min: 0, exclusiveMin: true, default: RPC_DEFAULTS.timeout_seconds }),
+            max_requests_per_second: number({ min: 0, default: RPC_DEFAULTS.max_requests_per_second }),
+            max_block_lag: integer({ min: 0, default: RPC_DEFAULTS.max_block_lag }),
+            max_latency_ms: integer({ min: 1, default: RPC_DEFAULTS.max_latency_ms }),
+            health_check_interval_seconds: number({ min: 0, default: RPC_DEFAULTS.health_check_interval_seconds })
+        }),
+        wallets: object({
+            source: oneOf(['pk_file', 'keystore', 'mnemonic'], { default: WALLET_DEFAULTS.source }),
+            pk_file: string({ default: WALLET_DEFAULTS.pk_file }),
+            keystore_dir: string({ default: WALLET_DEFAULTS.keystore_dir }),
+            password_env: string({ default: WALLET_DEFAULTS.password_env }),
+            mnemonic_file: string({ default: WALLET_DEFAULTS.mnemonic_file }),
+            mnemonic_env: string({ default: WALLET_DEFAULTS.mnemonic_env }),
+            mnemonic_passphrase_env: string({ default: WALLET_DEFAULTS.mnemonic_passphrase_env }),
+            hd_path: string({ default: WALLET_DEFAULTS.hd_path }),
+            start_index: integer({ min: 0, default: WALLET_DEFAULTS.start_index }),
+            count: integer({ min: 1, default: WALLET_DEFAULTS.count })
+        }),
+        tasks: tasks.schema(SCHEMA_HELPERS, { contractTypes }),
+        task_order: oneOf(TASK_ORDERS, { default: 'fixed' }),
+        approvals: object({
+            policy: oneOf(APPROVAL_POLICIES, { default: APPROVAL_DEFAULTS.policy }),
+            caps: record(number({ min: 0, exclusiveMin: true }), { default: APPROVAL_DEFAULTS.caps })
+        }),
+        fees: object({
+            fee_history_blocks: integer({ min: 1, max: 1024, default: FEE_DEFAULTS.fee_history_blocks }),
+            priority_fee_percentile: number({ min: 0, max: 100, default: FEE_DEFAULTS.priority_fee_percentile }),
+            base_fee_multiplier: number({ min: 1, default: FEE_DEFAULTS.base_fee_multiplier }),
+            gas_limit_multiplier: number({ min: 1, default: FEE_DEFAULTS.gas_limit_multiplier }),
+            min_priority_fee_gwei: number({ min: 0, default: FEE_DEFAULTS.min_priority_fee_gwei }),
+            max_fee_gwei: record(number({ min: 0, exclusiveMin: true }), { default: FEE_DEFAULTS.max_fee_gwei })
+        }),
+        errors: object(Object.fromEntries(
+            Object.entries(DEFAULT_ERROR_POLICIES).map(([category, defaults]) => [category, errorPolicy(defaults)])
+        )),
+        stuck_transactions: object({
+            timeout_seconds: integer({ min: 1, default: SUPERVISOR_DEFAULTS.timeout_seconds }),
+            poll_interval_seconds: number({ min: 0, exclusiveMin: true, default: SUPERVISOR_DEFAULTS.poll_interval_seconds }),
+            max_bumps: integer({ min: 0, default: SUPERVISOR_DEFAULTS.max_bumps }),
+            bump_percent: number({ min: 10, default: SUPERVISOR_DEFAULTS.bump_percent })
+        }),
+        preflight: object({
+            enabled: boolean({ default: PREFLIGHT_DEFAULTS.enabled }),
+            reserve_cbtc: number({ min: 0, default: PREFLIGHT_DEFAULTS.reserve_cbtc }),
+            gas: object(Object.fromEntries(
+                Object.entries(PREFLIGHT_DEFAULTS.gas).map(([task, gas]) => [task, integer({ min: 21000, default: gas })])
+            ))
+        }),
+        verification: object({
+            enabled: boolean({ default: VERIFICATION_DEFAULTS.enabled }),
+            submit_attempts: integer({ min: 1, default: VERIFICATION_DEFAULTS.submit_attempts }),
+            poll_interval_seconds: number({ min: 0, exclusiveMin: true, default: VERIFICATION_DEFAULTS.poll_interval_seconds }),
+            timeout_seconds: integer({ min: 1, default: VERIFICATION_DEFAULTS.timeout_seconds })
+        }),
+        notifications: object({
+            low_balance_cbtc: number({ min: 0, default: NOTIFY_DEFAULTS.low_balance_cbtc }),
+            channels: array(object({
+                type: oneOf(Object.keys(CHANNEL_TYPES), { required: true }),
+                enabled: boolean(),
+                min_severity: oneOf(SEVERITIES),
+                rate_limit: object({
+                    max_messages: integer({ min: 1 }),
+                    window_seconds: number({ min: 0, exclusiveMin: true })
+                }),
+                url: string({ nullable: true }),
+                webhook_url_env: string(),
+                bot_token_env: string(),
+                chat_id: anyOf([string(), integer()], { nullable: true }),
+                api_url: string()
+            }, { check: checkChannel }), { default: NOTIFY_DEFAULTS.channels })
+        }),
+        concurrency: integer({ min: 1, default: 1 }),
+        delay: object({
+            between_tasks: integer({ min: 0, default: 5000 }),
+            between_wallets: number({ min: 0, default: 10 })
+        }),
+        schedule: object({
+            mode: oneOf(['interval', 'cron'], { default: SCHEDULE_DEFAULTS.mode }),
+            interval_hours: number({ min: 0, exclusiveMin: true, default: SCHEDULE_DEFAULTS.interval_hours }),
+            cron: string({ default: SCHEDULE_DEFAULTS.cron }),
+            windows: array(object({
+                start: string({ required: true }),
+                end: string({ required: true }),
+                days: string()
+            }), { default: SCHEDULE_DEFAULTS.windows }),
+            state_file: string({ default: SCHEDULE_DEFAULTS.state_file })
+        }, { check: checkSchedule })
+    }, {
+        check: (config) => {
+            const profiles = { ...BUILTIN_NETWORKS, ...(config.networks || {}) };
+            return profiles[config.network] ? null : `network "${config.network}" is not defined under networks`;
+        }
+    });
+}
+
+const clone = (value) => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const join = (base, key) => (base ? `${base}.${key}` : key);
+
+// Fill missing values from the schema defaults
+function applyDefaults(schema, value) {
+    if (value === undefined && schema.default !== undefined) return clone(schema.default);
+
+    if (schema.type === 'object' && (value === undefined || isPlainObject(value))) {
+        const result = { ...(value || {}) };
+        for (const [key, property] of Object.entries(schema.properties)) {
+            const filled = applyDefaults(property, result[key]);
+            if (filled !== undefined) result[key] = filled;
+        }
+        return Object.keys(result).length > 0 || value !== undefined ? result : undefined;
+    }
+    if (schema.type === 'record' && isPlainObject(value)) {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, applyDefaults(schema.values, item)]));
+    }
+    return value;
+}
+
+const TYPE_NAMES = {
+    number: 'a number',
+    integer: 'an integer',
+    boolean: 'true or false',
+    string: 'a string',
+    address: 'an address',
+    array: 'a list',
+    object: 'an object',
+    record: 'an object'
+};
+
+// Validate `value` against `schema`, pushing "<path>: <problem>" strings into `problems`
+function validate(schema, value, at, problems) {
+    const found = problems.length;
+    if (value === undefined) {
+        if (schema.required) problems.push(`${at}: is required`);
+        return;
+    }
+    if (value === null) {
+        if (!schema.nullable) problems.push(`${at}: must not be null`);
+        return;
+    }
+
+    switch (schema.type) {
+        case 'number':
+        case 'integer': {
+            const valid = typeof value === 'number' && Number.isFinite(value) && (schema.type === 'number' || Number.isInteger(value));
+            if (!valid) {
+                problems.push(`${at}: must be ${TYPE_NAMES[schema.type]}, got ${JSON.stringify(value)}`);
+                return;
+            }
+            if (schema.min !== undefined && (schema.exclusiveMin ? value <= schema.min : value < schema.min)) {
+                problems.push(`${at}: must be ${schema.exclusiveMin ? 'greater than' : 'at least'} ${schema.min}, got ${value}`);
+            }
+            if (schema.max !== undefined && value > schema.max) {
+                problems.push(`${at}: must be at most ${schema.max}, got ${value}`);
+            }
+            break;
+        }
+        case 'boolean':
+        case 'string':
+            if (typeof value !== schema.type) problems.push(`${at}: must be ${TYPE_NAMES[schema.type]}, got ${JSON.stringify(value)}`);
+            break;
+        case 'address':
+            if (typeof value !== 'string' || !ethers.utils.isAddress(value)) {
+                problems.push(`${at}: must be an address, got ${JSON.stringify(value)}`);
+            }
+            break;
+        case 'enum':
+            if (!schema.values.includes(value)) {
+                problems.push(`${at}: must be one of ${schema.values.join(', ')}, got ${JSON.stringify(value)}`);
+            }
+            break;
+        case 'any': {
+            const matches = schema.schemas.some(option => {
+                const optionProblems = [];
+                validate(option, value, at, optionProblems);
+                return optionProblems.length === 0;
+            });
+            if (!matches) problems.push(`${at}: must be ${schema.schemas.map(option => TYPE_NAMES[option.type]).join(' or ')}`);
+            break;
+        }
+        case 'array':
+            if (!Array.isArray(value)) {
+                problems.push(`${at}: must be a list, got ${JSON.stringify(value)}`);
+                return;
+            }
+            if (schema.minItems !== undefined && value.length < schema.minItems) {
+                problems.push(`${at}: must contain at least ${schema.minItems} item(s)`);
+            }
+            value.forEach((item, index) => validate(schema.items, item, `${at}[${index}]`, problems));
+            break;
+        case 'record':
+            if (!isPlainObject(value)) {
+                problems.push(`${at}: must be an object`);
+                return;
+            }
+            Object.entries(value).forEach(([key, item]) => validate(schema.values, item, join(at, key), problems));
+            break;
+        case 'object':
+            if (!isPlainObject(value)) {
+                problems.push(`${at || 'config'}: must be an object`);
+                return;
+            }
+            for (const key of Object.keys(value)) {
+                // Options that were dropped explain where their settings went instead
+                if (schema.removed && schema.removed[key]) {
+                    problems.push(`${join(at, key)}: ${schema.removed[key]}`);
+                } else if (!schema.properties[key]) {
+                    problems.push(`${join(at, key)}: unknown option, expected one of ${Object.keys(schema.properties).join(', ')}`);
+                }
+            }
+            for (const [key, property] of Object.entries(schema.properties)) {
+                validate(property, value[key], join(at, key), problems);
+            }
+            break;
+        default:
+            throw new Error(`Unknown schema type ${schema.type}`);
+    }
+
+    // Cross-field checks only run once the value itself is well-formed
+    if (schema.check && problems.length === found) {
+        const problem = schema.check(value);
+        if (problem) problems.push(at ? `${at}: ${problem}` : problem);
+    }
+}
+
+// Fill defaults and validate; returns { config, problems }
+function resolveConfig(raw, { contractTypes, tasks }) {
+    const schema = createSchema({ contractTypes, tasks });
+    const config = applyDefaults(schema, raw);
+    const problems = [];
+    validate(schema, config, '', problems);
+    return { config, problems };
+}
+
+function generateDefaultConfig({ contractTypes, tasks }) {
+    return applyDefaults(createSchema({ contractTypes, tasks }), {});
+}
+
+// Read config.json, writing the default config first when it does not exist yet
+function readConfigFile(file, { contractTypes, tasks, create = false }) {
+    let created = false;
+    if (!fs.existsSync(file)) {
+        if (!create) throw new ConfigError(file, [`${file} does not exist`]);
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        fs.writeFileSync(file, JSON.stringify(generateDefaultConfig({ contractTypes, tasks }), null, 4) + '\n');
+        created = true;
+    }
+
+    let raw;
+    try {
+        raw = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        throw new ConfigError(file, [`not valid JSON: ${error.message}`]);
+    }
+
+    const { config, problems } = resolveConfig(raw, { contractTypes, tasks });
+    if (problems.length > 0) throw new ConfigError(file, problems);
+    return { config, created };
+}
+
+module.exports = {
+    ConfigError,
+    SCHEMA_HELPERS,
+    createSchema,
+    applyDefaults,
+    validate,
+    resolveConfig,
+    generateDefaultConfig,
+    readConfigFile
+};
@@ -0,0 +1,15 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Log context carried across async calls, so every log line written while a
+// wallet is processed can be attributed to it even when wallets run in parallel
+const logContext = new AsyncLocalStorage();
+
+function withLogContext(fields, fn) {
+    return logContext.run({ ...(logContext.getStore() || {}), ...fields }, fn);
+}
+
+function getLogContext() {
+    return logContext.getStore() || {};
+}
+
+module.exports = { withLogContext, getLogContext };
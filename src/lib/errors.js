@@ -0,0 +1,151 @@
+const { ethers } = require('ethers');
+
+// Recovery strategy per error category (overridable via the "errors" block in config.json)
+//   backoff       - wait with exponential backoff, then retry
+//   refresh_nonce - resync the wallet nonce from the chain, then retry
+//   bump_fee      - raise maxFeePerGas / maxPriorityFeePerGas by bump_percent, then retry
+//   skip_task     - give up on the current task step and continue with the next one
+//   abort_wallet  - stop processing the wallet
+// Retrying strategies fall back to `on_exhausted` once max_attempts is reached.
+const DEFAULT_ERROR_POLICIES = {
+    network: { strategy: 'backoff', max_attempts: 5, initial_delay: 1000, max_delay: 10000, backoff_factor: 2, on_exhausted: 'abort_wallet' },
+    nonce: { strategy: 'refresh_nonce', max_attempts: 3, initial_delay: 1000, on_exhausted: 'abort_wallet' },
+    fee: { strategy: 'bump_fee', max_attempts: 3, initial_delay: 1000, bump_percent: 20, on_exhausted: 'skip_task' },
+    revert: { strategy: 'skip_task' },
+    funds: { strategy: 'abort_wallet' },
+    unknown: { strategy: 'abort_wallet' }
+};
+
+const STRATEGIES = ['backoff', 'refresh_nonce', 'bump_fee', 'skip_task', 'abort_wallet'];
+
+// Error raised once a classified error is not (or no longer) retried
+class ClassifiedError extends Error {
+    constructor(error, { category, strategy, reason }) {
+        super(error.message);
+        this.name = 'ClassifiedError';
+        this.category = category;
+        this.strategy = strategy;
+        this.reason = reason;
+        this.cause = error;
+        this.receipt = error.receipt;
+    }
+}
+
+const ERROR_SELECTOR = '0x08c379a0';
+const PANIC_SELECTOR = '0x4e487b71';
+
+// Walk the nested errors ethers wraps around JSON-RPC failures
+function collectErrorLayers(error) {
+    const layers = [];
+    const seen = new Set();
+    const queue = [error];
+
+    while (queue.length > 0) {
+        const current = queue.shift();
+        if (!current || typeof current !== 'object' || seen.has(current)) continue;
+        seen.add(current);
+        layers.push(current);
+
+        queue.push(current.error, current.cause, current.data && typeof current.data === 'object' ? current.data : null);
+        if (typeof current.body === 'string') {
+            try {
+                queue.push(JSON.parse(current.body).error);
+            } catch (parseError) {
+                // Non-JSON bodies carry no extra detail
+            }
+        }
+    }
+    return layers;
+}
+
+// Decode Error(string) / Panic(uint256) revert data
+function decodeRevertData(data) {
+    if (typeof data !== 'string' || !data.startsWith('0x') || data.length < 10) return null;
+
+    try {
+        if (data.startsWith(ERROR_SELECTOR)) {
+            return ethers.utils.defaultAbiCoder.decode(['string'], `0x${data.slice(10)}`)[0];
+        }
+        if (data.startsWith(PANIC_SELECTOR)) {
+            const code = ethers.utils.defaultAbiCoder.decode(['uint256'], `0x${data.slice(10)}`)[0];
+            return `panic 0x${code.toNumber().toString(16)}`;
+        }
+    } catch (error) {
+        return null;
+    }
+    return `custom error ${data.slice(0, 10)}`;
+}
+
+function findRevertReason(layers) {
+    for (const layer of layers) {
+        const decoded = decodeRevertData(layer.data) || decodeRevertData(layer.result);
+        if (decoded) return decoded;
+    }
+    for (const layer of layers) {
+        const match = /execution reverted:?\s*(.*)/i.exec(layer.reason || layer.message || '');
+        if (match) return match[1] || 'execution reverted';
+    }
+    return null;
+}
+
+// Classify an error into network, nonce, fee, revert, funds or unknown
+function classifyError(error) {
+    if (error instanceof ClassifiedError) {
+        return { category: error.category, reason: error.reason };
+    }
+
+    const layers = collectErrorLayers(error);
+    const codes = layers.map(layer => layer.code);
+    const messages = layers
+        .map(layer => `${layer.message || ''} ${layer.reason || ''}`)
+        .join(' ')
+        .toLowerCase();
+    const has = (...values) => values.some(value => codes.includes(value));
+    const mentions = (...values) => values.some(value => messages.includes(value));
+
+    if (has(ethers.errors.INSUFFICIENT_FUNDS, -32003) || mentions('insufficient funds')) {
+        return { category: 'funds', reason: 'insufficient funds for gas * price + value' };
+    }
+    if (has(ethers.errors.NONCE_EXPIRED) || mentions('nonce too low', 'nonce too high', 'invalid nonce', 'nonce has already been used')) {
+        return { category: 'nonce', reason: 'nonce out of sync' };
+    }
+    if (has(ethers.errors.REPLACEMENT_UNDERPRICED) ||
+        mentions('underpriced', 'replacement fee too low', 'fee too low', 'max fee per gas less than block base fee', 'fee cap less than block base fee')) {
+        return { category: 'fee', reason: 'fee too low' };
+    }
+
+    const revertReason = findRevertReason(layers);
+    if (has(ethers.errors.CALL_EXCEPTION, ethers.errors.UNPREDICTABLE_GAS_LIMIT, 3) || revertReason) {
+        return { category: 'revert', reason: revertReason || 'transaction reverted' };
+    }
+
+    if (has(ethers.errors.NETWORK_ERROR, ethers.errors.TIMEOUT, ethers.errors.SERVER_ERROR, -32005, 429, 'ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT') ||
+        mentions('timeout', 'network error', 'rate limit', 'too many requests', 'connection reset', 'could not detect network', 'internal json-rpc error')) {
+        return { category: 'network', reason: 'transient network error' };
+    }
+
+    return { category: 'unknown', reason: null };
+}
+
+// Merge per-category settings from config over the defaults
+function resolveErrorPolicies(settings = {}) {
+    return Object.fromEntries(Object.entries(DEFAULT_ERROR_POLICIES).map(([category, policy]) => {
+        const merged = { ...policy, ...(settings[category] || {}) };
+        if (!STRATEGIES.includes(merged.strategy)) {
+            throw new Error(`Unknown strategy "${merged.strategy}" for ${category} errors, expected one of: ${STRATEGIES.join(', ')}`);
+        }
+        if (merged.on_exhausted && !['skip_task', 'abort_wallet'].includes(merged.on_exhausted)) {
+            throw new Error(`Invalid on_exhausted "${merged.on_exhausted}" for ${category} errors, expected skip_task or abort_wallet`);
+        }
+        return [category, merged];
+    }));
+}
+
+module.exports = {
+    DEFAULT_ERROR_POLICIES,
+    STRATEGIES,
+    ClassifiedError,
+    classifyError,
+    decodeRevertData,
+    resolveErrorPolicies
+};
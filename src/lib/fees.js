@@ -0,0 +1,137 @@
+const { ethers } = require('ethers');
+
+// Default fee strategy settings (overridable via the "fees" block in config.json)
+const FEE_DEFAULTS = {
+    fee_history_blocks: 10,
+    priority_fee_percentile: 50,
+    base_fee_multiplier: 2,
+    gas_limit_multiplier: 1.2,
+    min_priority_fee_gwei: 0.0000001,
+    max_fee_gwei: {}
+};
+
+// Multiply a BigNumber by a float factor with 0.01 precision
+function scale(value, factor) {
+    return ethers.BigNumber.from(value).mul(Math.round(factor * 100)).div(100);
+}
+
+// Parse a gwei amount from config; toFixed avoids exponent notation for tiny values
+function gwei(value) {
+    return ethers.utils.parseUnits(Number(value).toFixed(9), 'gwei');
+}
+
+// Fee strategy shared by all CitreaBot transactions
+class FeeStrategy {
+    constructor(provider, settings = {}) {
+        this.provider = provider;
+        this.settings = {
+            ...FEE_DEFAULTS,
+            ...settings,
+            max_fee_gwei: { ...FEE_DEFAULTS.max_fee_gwei, ...(settings.max_fee_gwei || {}) }
+        };
+
+        // Raised by bump() when a transaction is rejected as underpriced
+        this.bumpFactor = 1;
+    }
+
+    bump(percent) {
+        this.bumpFactor *= 1 + percent / 100;
+    }
+
+    resetBump() {
+        this.bumpFactor = 1;
+    }
+
+    // Suggest EIP-1559 fees from eth_feeHistory, falling back to getFeeData
+    async suggestFees() {
+        const minPriorityFee = gwei(this.settings.min_priority_fee_gwei);
+
+        try {
+            const history = await this.provider.send('eth_feeHistory', [
+                ethers.utils.hexValue(this.settings.fee_history_blocks),
+                'latest',
+                [this.settings.priority_fee_percentile]
+            ]);
+
+            // The last entry is the base fee of the next (pending) block
+            const nextBaseFee = ethers.BigNumber.from(history.baseFeePerGas[history.baseFeePerGas.length - 1]);
+            const rewards = (history.reward || [])
+                .map(reward => ethers.BigNumber.from(reward[0]))
+                .sort((a, b) => (a.lt(b) ? -1 : a.gt(b) ? 1 : 0));
+
+            let maxPriorityFeePerGas = rewards.length > 0 ? rewards[Math.floor(rewards.length / 2)] : minPriorityFee;
+            if (maxPriorityFeePerGas.lt(minPriorityFee)) maxPriorityFeePerGas = minPriorityFee;
+
+            return {
+                maxFeePerGas: scale(nextBaseFee, this.settings.base_fee_multiplier).add(maxPriorityFeePerGas),
+                maxPriorityFeePerGas
+            };
+        } catch (error) {
+            const feeData = await this.provider.getFeeData();
+            let maxPriorityFeePerGas = feeData.maxPriorityFeePerGas || minPriorityFee;
+            if (maxPriorityFeePerGas.lt(minPriorityFee)) maxPriorityFeePerGas = minPriorityFee;
+
+            const maxFeePerGas = feeData.lastBaseFeePerGas
+                ? scale(feeData.lastBaseFeePerGas, this.settings.base_fee_multiplier).add(maxPriorityFeePerGas)
+                : (feeData.maxFeePerGas || feeData.gasPrice);
+
+            return { maxFeePerGas, maxPriorityFeePerGas };
+        }
+    }
+
+    // Fees for a task with any pending bump applied, clamped to the task's configured cap
+    async getFees(task) {
+        const suggested = await this.suggestFees();
+        const fees = {
+            maxFeePerGas: scale(suggested.maxFeePerGas, this.bumpFactor),
+            maxPriorityFeePerGas: scale(suggested.maxPriorityFeePerGas, this.bumpFactor)
+        };
+        const capGwei = this.settings.max_fee_gwei[task];
+        if (capGwei === undefined || capGwei === null) return fees;
+
+        const cap = gwei(capGwei);
+        return {
+            maxFeePerGas: fees.maxFeePerGas.gt(cap) ? cap : fees.maxFeePerGas,
+            maxPriorityFeePerGas: fees.maxPriorityFeePerGas.gt(cap) ? cap : fees.maxPriorityFeePerGas
+        };
+    }
+
+    // Fees for replacing a pending transaction: at least `percent` above the previous fees
+    // and never below the current suggestion. Returns null when the task's cap leaves no
+    // room for the bump nodes require to accept a replacement.
+    async getReplacementFees(task, previous, percent) {
+        const suggested = await this.suggestFees();
+        const bumped = (value) => scale(value, 1 + percent / 100);
+        const atLeast = (value, floor) => (value.gt(floor) ? value : floor);
+
+        let maxPriorityFeePerGas = atLeast(bumped(previous.maxPriorityFeePerGas), suggested.maxPriorityFeePerGas);
+        let maxFeePerGas = atLeast(bumped(previous.maxFeePerGas), suggested.maxFeePerGas);
+        if (maxPriorityFeePerGas.gt(maxFeePerGas)) maxFeePerGas = maxPriorityFeePerGas;
+
+        const capGwei = this.settings.max_fee_gwei[task];
+        if (capGwei !== undefined && capGwei !== null) {
+            const cap = gwei(capGwei);
+            if (maxFeePerGas.gt(cap)) maxFeePerGas = cap;
+            if (maxPriorityFeePerGas.gt(cap)) maxPriorityFeePerGas = cap;
+            if (maxFeePerGas.lt(scale(previous.maxFeePerGas, 1.1))) return null;
+        }
+        return { maxFeePerGas, maxPriorityFeePerGas };
+    }
+
+    // Run a gas estimation and apply the safety multiplier
+    async estimateGasLimit(estimate) {
+        const gas = await estimate();
+        return scale(gas, this.settings.gas_limit_multiplier);
+    }
+
+    // Build gasLimit + fee overrides for a transaction
+    async getOverrides(task, estimate) {
+        const [gasLimit, fees] = await Promise.all([
+            this.estimateGasLimit(estimate),
+            this.getFees(task)
+        ]);
+        return { gasLimit, ...fees };
+    }
+}
+
+module.exports = { FeeStrategy, FEE_DEFAULTS };
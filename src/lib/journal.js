@@ -0,0 +1,123 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Append-only JSON lines journal of cycles, wallets and task steps.
+// Replaying the file rebuilds the latest state, so a restarted bot can resume.
+class Journal {
+    constructor(file) {
+        this.file = file;
+        this.cycles = new Map();
+        this.lastCycleId = null;
+        this.load();
+    }
+
+    load() {
+        if (!fs.existsSync(this.file)) return;
+
+        const lines = fs.readFileSync(this.file, 'utf8').split('\n').filter(Boolean);
+        for (const line of lines) {
+            try {
+                this.apply(JSON.parse(line));
+            } catch (error) {
+                // A torn final line from a crash mid-write is ignored
+            }
+        }
+    }
+
+    apply(entry) {
+        if (entry.type === 'cycle_start') {
+            this.cycles.set(entry.cycleId, { id: entry.cycleId, startedAt: entry.ts, finished: false, wallets: new Map() });
+            this.lastCycleId = entry.cycleId;
+            return;
+        }
+
+        const cycle = this.cycles.get(entry.cycleId);
+        if (!cycle) return;
+
+        if (entry.type === 'cycle_end') {
+            cycle.finished = true;
+            cycle.finishedAt = entry.ts;
+            return;
+        }
+
+        const wallet = this.getWallet(cycle, entry.wallet);
+        if (entry.type === 'wallet_end') {
+            wallet.finished = true;
+            wallet.status = entry.status;
+        } else if (entry.type === 'step') {
+            const previous = wallet.steps.get(entry.key);
+            const { type, cycleId, wallet: address, ts, ...fields } = entry;
+            wallet.steps.set(entry.key, {
+                ...previous,
+                ...fields,
+                startedAt: previous ? previous.startedAt : ts,
+                updatedAt: ts
+            });
+        }
+    }
+
+    getWallet(cycle, address) {
+        const key = address.toLowerCase();
+        if (!cycle.wallets.has(key)) {
+            cycle.wallets.set(key, { finished: false, status: null, steps: new Map() });
+        }
+        return cycle.wallets.get(key);
+    }
+
+    append(entry) {
+        const record = { ...entry, ts: new Date().toISOString() };
+        fs.mkdirSync(path.dirname(this.file), { recursive: true });
+        fs.appendFileSync(this.file, `${JSON.stringify(record)}\n`);
+        this.apply(record);
+        return record;
+    }
+
+    // Resume the last unfinished cycle, or start a new one
+    startCycle() {
+        const last = this.lastCycleId && this.cycles.get(this.lastCycleId);
+        if (last && !last.finished) {
+            return { cycleId: last.id, resumed: true };
+        }
+
+        const cycleId = `${Date.now().toString(36)}-${crypto.randomBytes(3).toString('hex')}`;
+        this.append({ type: 'cycle_start', cycleId });
+        return { cycleId, resumed: false };
+    }
+
+    finishCycle(cycleId) {
+        this.append({ type: 'cycle_end', cycleId });
+    }
+
+    isWalletFinished(cycleId, address) {
+        const cycle = this.cycles.get(cycleId);
+        return Boolean(cycle && this.getWallet(cycle, address).finished);
+    }
+
+    finishWallet(cycleId, address, status) {
+        this.append({ type: 'wallet_end', cycleId, wallet: address, status });
+    }
+
+    getStep(cycleId, address, key) {
+        const cycle = this.cycles.get(cycleId);
+        return cycle ? this.getWallet(cycle, address).steps.get(key) : undefined;
+    }
+
+    recordStep(cycleId, address, key, fields) {
+        this.append({ type: 'step', cycleId, wallet: address, key, ...fields });
+    }
+}
+
+// Check a hash recorded by a previous run against the chain.
+// Returns 'confirmed', 'reverted', 'pending' (still in the mempool) or 'dropped'.
+async function reconcileTransaction(provider, txHash) {
+    const receipt = await provider.getTransactionReceipt(txHash);
+    if (receipt) {
+        return { state: receipt.status === 1 ? 'confirmed' : 'reverted', receipt };
+    }
+
+    const tx = await provider.getTransaction(txHash);
+    return { state: tx ? 'pending' : 'dropped', tx };
+}
+
+module.exports = { Journal, reconcileTransaction };
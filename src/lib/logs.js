@@ -0,0 +1,119 @@
+const fs = require('fs');
+const path = require('path');
+const winston = require('winston');
+const chalk = require('chalk');
+
+// Fields every JSON log entry carries; null when the entry is not tied to one
+// (e.g. cycle-level messages have no wallet, wallet-level ones no task)
+const CONTEXT_FIELDS = ['cycleId', 'wallet', 'task', 'iteration'];
+
+const LOG_FILE_PATTERN = /^citrea-.*\.log(\.\d+)?$/;
+
+// Format for the log files: one JSON object per line with an ISO timestamp
+function jsonLogFormat() {
+    const withContextFields = winston.format((info) => {
+        CONTEXT_FIELDS.forEach(field => {
+            if (info[field] === undefined) info[field] = null;
+        });
+        return info;
+    });
+    return winston.format.combine(winston.format.timestamp(), withContextFields(), winston.format.json());
+}
+
+// Read every JSON entry from the log files in `dir`, oldest first. Lines that are
+// not JSON (written before the log files were structured) are counted and skipped.
+function readLogEntries(dir) {
+    if (!fs.existsSync(dir)) return { entries: [], skipped: 0 };
+
+    const files = fs.readdirSync(dir)
+        .filter(file => LOG_FILE_PATTERN.test(file))
+        .map(file => path.join(dir, file))
+        .sort((a, b) => fs.statSync(a).mtimeMs - fs.statSync(b).mtimeMs);
+
+    const entries = [];
+    let skipped = 0;
+    for (const file of files) {
+        for (const line of fs.readFileSync(file, 'utf8').split('\n')) {
+            if (!line.trim()) continue;
+            try {
+                entries.push(JSON.parse(line));
+            } catch (error) {
+                skipped++;
+            }
+        }
+    }
+    return { entries, skipped };
+}
+
+// Error type of an entry: the error category when one was logged
+function errorType(entry) {
+    if (entry.category) return entry.category;
+    return entry.level === 'error' ? 'unknown' : null;
+}
+
+// `wallet` selectors are 1-based wallet indexes or addresses; `error` matches the
+// error category, or any error type with "any"
+function filterEntries(entries, { wallet = [], task, error, level, cycle } = {}) {
+    const selectors = wallet.map(selector => selector.toLowerCase());
+    const matchesWallet = (entry) => selectors.length === 0 || selectors.some(selector => (/^\d+$/.test(selector)
+        ? String(entry.walletIndex) === selector
+        : String(entry.wallet || '').toLowerCase() === selector));
+
+    return entries.filter(entry => matchesWallet(entry) &&
+        (!task || entry.task === task) &&
+        (!error || (error === 'any' ? errorType(entry) !== null : errorType(entry) === error)) &&
+        (!level || entry.level === level) &&
+        (!cycle || entry.cycleId === cycle));
+}
+
+// Entry, warning and error counts grouped by wallet, task and error type
+function summarizeEntries(entries) {
+    const group = (key) => {
+        const groups = {};
+        entries.forEach(entry => {
+            const name = key(entry);
+            if (name === null || name === undefined) return;
+            const counts = groups[name] = groups[name] || { entries: 0, warnings: 0, errors: 0 };
+            counts.entries++;
+            if (entry.level === 'warn') counts.warnings++;
+            if (entry.level === 'error') counts.errors++;
+        });
+        return groups;
+    };
+
+    return {
+        total: entries.length,
+        cycles: new Set(entries.map(entry => entry.cycleId).filter(Boolean)).size,
+        wallets: group(entry => entry.wallet),
+        tasks: group(entry => entry.task),
+        errorTypes: group(errorType)
+    };
+}
+
+const LEVEL_COLORS = { error: chalk.red, warn: chalk.yellow, info: chalk.white, debug: chalk.gray };
+
+// One line per entry for the `logs` command
+function formatEntry(entry) {
+    const { timestamp, level, message, walletIndex, wallet, cycleId, task, iteration, ...metadata } = entry;
+    const color = LEVEL_COLORS[level] || chalk.white;
+    const where = [
+        walletIndex ? `Wallet ${walletIndex}` : null,
+        task ? `${task}${iteration ? ` #${iteration}` : ''}` : null
+    ].filter(Boolean).join(' ');
+    const details = Object.entries(metadata)
+        .map(([key, value]) => `${key}: ${typeof value === 'object' ? JSON.stringify(value) : value}`)
+        .join(chalk.gray(' | '));
+
+    return `${chalk.gray(`[${timestamp}]`)} ${color(level.toUpperCase().padEnd(5))}` +
+        `${where ? chalk.yellow(` ${where}`) : ''} ${color(message)}${details ? chalk.gray(' | ') + details : ''}`;
+}
+
+module.exports = {
+    CONTEXT_FIELDS,
+    jsonLogFormat,
+    readLogEntries,
+    errorType,
+    filterEntries,
+    summarizeEntries,
+    formatEntry
+};
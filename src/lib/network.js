@@ -0,0 +1,72 @@
+const { ethers } = require('ethers');
+
+const DEFAULT_NETWORK = 'citrea_testnet';
+
+// Built-in profiles, used when config.json does not define them under "networks"
+const BUILTIN_NETWORKS = {
+    citrea_testnet: {
+        chain_id: 5115,
+        rpc_urls: ['https://rpc.testnet.citrea.xyz'],
+        router: '0xb45670f668EE53E62b5F170B5B1d3C6701C8d03A',
+        tokens: {
+            WCBTC: '0x8d0c9d1c17ae5e40fff9be350f57840e9e66cd93',
+            USDC: '0xb669dc8cc6d044307ba45366c0c836ec3c7e31aa'
+        },
+        explorer_tx_url: 'https://explorer.testnet.citrea.xyz/tx/{hash}',
+        explorer_api_url: 'https://explorer.testnet.citrea.xyz/api'
+    }
+};
+
+// Resolve a named profile from config into the NETWORK shape used by the bot
+function resolveNetwork(config = {}, name) {
+    const networkName = name || config.network || DEFAULT_NETWORK;
+    const profiles = { ...BUILTIN_NETWORKS, ...(config.networks || {}) };
+    const profile = profiles[networkName];
+
+    if (!profile) {
+        throw new Error(`Network profile "${networkName}" not found, available: ${Object.keys(profiles).join(', ')}`);
+    }
+
+    const rpcUrls = Array.isArray(profile.rpc_urls) ? profile.rpc_urls : [profile.rpc_urls].filter(Boolean);
+    if (rpcUrls.length === 0) {
+        throw new Error(`Network profile "${networkName}" has no rpc_urls`);
+    }
+    if (!Number.isInteger(profile.chain_id)) {
+        throw new Error(`Network profile "${networkName}" has an invalid chain_id`);
+    }
+
+    // Any number of tokens by name; WCBTC and USDC are always needed
+    const tokens = { ...(profile.tokens || {}) };
+    const addresses = { router: profile.router, WCBTC: tokens.WCBTC, USDC: tokens.USDC };
+    for (const [key, address] of Object.entries({ ...tokens, ...addresses })) {
+        if (!ethers.utils.isAddress(address || '')) {
+            throw new Error(`Network profile "${networkName}" has an invalid ${key} address`);
+        }
+        if (address === ethers.constants.AddressZero) {
+            throw new Error(`Network profile "${networkName}" has no ${key} address, set the router and token addresses of your deployment`);
+        }
+    }
+
+    return {
+        name: networkName,
+        chainId: profile.chain_id,
+        rpcUrls,
+        ...addresses,
+        tokens,
+        explorerTxUrl: profile.explorer_tx_url || null,
+        explorerApiUrl: profile.explorer_api_url || null
+    };
+}
+
+// Build an explorer link for a transaction, or null when the profile has no explorer
+function formatExplorerTxUrl(network, txHash) {
+    if (!network.explorerTxUrl) return null;
+    return network.explorerTxUrl.replace('{hash}', txHash);
+}
+
+module.exports = {
+    DEFAULT_NETWORK,
+    BUILTIN_NETWORKS,
+    resolveNetwork,
+    formatExplorerTxUrl
+};
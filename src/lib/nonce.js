@@ -0,0 +1,27 @@
+// Per-wallet nonce manager. Nonces are handed out locally so transactions can be
+// pipelined; reset() drops the local counter and resyncs from the pending block.
+class NonceManager {
+    constructor(signer) {
+        this.signer = signer;
+        this.nextNonce = null;
+        this.queue = Promise.resolve();
+    }
+
+    // Allocations are serialized so concurrent callers never receive the same nonce
+    next() {
+        const allocation = this.queue.then(async () => {
+            if (this.nextNonce === null) {
+                this.nextNonce = await this.signer.getTransactionCount('pending');
+            }
+            return this.nextNonce++;
+        });
+        this.queue = allocation.catch(() => {});
+        return allocation;
+    }
+
+    reset() {
+        this.nextNonce = null;
+    }
+}
+
+module.exports = { NonceManager };
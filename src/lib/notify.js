@@ -0,0 +1,182 @@
+const http = require('http');
+const https = require('https');
+const { addSecret, redact } = require('./secrets');
+
+// Default notification settings (overridable via the "notifications" block in config.json)
+//   low_balance_cbtc - a wallet left with less CBTC after its tasks triggers a low_balance warning
+//   channels         - where notifications are sent, each with the CHANNEL_DEFAULTS below
+const NOTIFY_DEFAULTS = {
+    low_balance_cbtc: 0.001,
+    channels: []
+};
+
+// Per channel: only notifications at or above `min_severity` are sent, and at most
+// `rate_limit.max_messages` of them per `rate_limit.window_seconds`
+const CHANNEL_DEFAULTS = {
+    enabled: true,
+    min_severity: 'warning',
+    rate_limit: { max_messages: 10, window_seconds: 3600 },
+    url: null,
+    webhook_url_env: 'CITREA_DISCORD_WEBHOOK_URL',
+    bot_token_env: 'CITREA_TELEGRAM_BOT_TOKEN',
+    chat_id: null,
+    api_url: 'https://api.telegram.org'
+};
+
+const SEVERITIES = ['info', 'warning', 'error'];
+const DISCORD_COLORS = { info: 0x2ecc71, warning: 0xf1c40f, error: 0xe74c3c };
+
+// POST `body` as JSON; rejects on non-2xx responses and timeouts
+function postJson(url, body, { timeout = 10000 } = {}) {
+    return new Promise((resolve, reject) => {
+        const payload = JSON.stringify(body);
+        const request = (url.startsWith('https:') ? https : http).request(url, {
+            method: 'POST',
+            headers: { 'content-type': 'application/json', 'content-length': Buffer.byteLength(payload) },
+            timeout
+        }, (response) => {
+            response.resume();
+            response.on('end', () => (response.statusCode >= 200 && response.statusCode < 300
+                ? resolve(response.statusCode)
+                : reject(new Error(`HTTP ${response.statusCode}`))));
+        });
+        request.on('timeout', () => request.destroy(new Error(`Timed out after ${timeout}ms`)));
+        request.on('error', reject);
+        request.end(payload);
+    });
+}
+
+// Plain-text rendering shared by the chat channels
+function formatText({ title, message, fields }) {
+    const lines = Object.entries(fields).map(([key, value]) => `${key}: ${value}`);
+    return [title, message, ...lines].filter(Boolean).join('\n');
+}
+
+// How each channel type turns a notification into a request
+const CHANNEL_TYPES = {
+    // Generic webhook: the notification as JSON
+    webhook: {
+        target: settings => settings.url,
+        body: notification => notification
+    },
+    // Discord webhook; the URL contains its token, so it is read from the environment
+    discord: {
+        target: settings => process.env[settings.webhook_url_env],
+        body: ({ severity, title, message, fields, timestamp }) => ({
+            embeds: [{
+                title,
+                description: message || undefined,
+                color: DISCORD_COLORS[severity],
+                fields: Object.entries(fields).map(([name, value]) => ({ name, value: String(value), inline: true })),
+                timestamp
+            }]
+        })
+    },
+    // Telegram Bot API sendMessage; the bot token is read from the environment
+    telegram: {
+        target: (settings) => {
+            const token = process.env[settings.bot_token_env];
+            return token && `${settings.api_url.replace(/\/+$/, '')}/bot${token}/sendMessage`;
+        },
+        body: (notification, settings) => ({ chat_id: settings.chat_id, text: formatText(notification) })
+    }
+};
+
+// Sliding-window limit; notifications over the limit are dropped and counted
+class RateLimiter {
+    constructor({ max_messages: maxMessages, window_seconds: windowSeconds }) {
+        this.maxMessages = maxMessages;
+        this.window = windowSeconds * 1000;
+        this.sent = [];
+        this.suppressed = 0;
+    }
+
+    allow(now = Date.now()) {
+        this.sent = this.sent.filter(time => time > now - this.window);
+        if (this.sent.length >= this.maxMessages) {
+            this.suppressed++;
+            return false;
+        }
+        this.sent.push(now);
+        return true;
+    }
+}
+
+// Sends notifications about failures and cycle results to the configured
+// channels. Delivery never throws: failures are logged and the bot carries on.
+class Notifier {
+    constructor(settings = {}, { logger = console } = {}) {
+        this.settings = { ...NOTIFY_DEFAULTS, ...settings };
+        this.fingerprint = JSON.stringify(settings);
+        this.logger = logger;
+        this.pending = new Set();
+
+        this.channels = this.settings.channels
+            .map(channel => ({
+                ...CHANNEL_DEFAULTS,
+                ...channel,
+                rate_limit: { ...CHANNEL_DEFAULTS.rate_limit, ...(channel.rate_limit || {}) }
+            }))
+            .filter(channel => channel.enabled)
+            .map(channel => {
+                if (!CHANNEL_TYPES[channel.type]) throw new Error(`Unknown notification channel type "${channel.type}"`);
+                return { settings: channel, limiter: new RateLimiter(channel.rate_limit) };
+            });
+    }
+
+    // `event` names what happened (wallet_failed, low_balance, cycle_completed, fatal),
+    // `fields` are short key/value details. Resolves once every channel was tried.
+    notify(event, severity, title, { message = null, fields = {} } = {}) {
+        const notification = {
+            event,
+            severity,
+            title: redact(title),
+            message: redact(message),
+            fields: Object.fromEntries(Object.entries(fields)
+                .filter(([, value]) => value !== undefined && value !== null)
+                .map(([key, value]) => [key, redact(String(value))])),
+            timestamp: new Date().toISOString()
+        };
+
+        const deliveries = this.channels
+            .filter(({ settings }) => SEVERITIES.indexOf(severity) >= SEVERITIES.indexOf(settings.min_severity))
+            .map(channel => this.deliver(channel, notification));
+
+        const done = Promise.all(deliveries).then(() => undefined);
+        this.pending.add(done);
+        done.then(() => this.pending.delete(done));
+        return done;
+    }
+
+    async deliver({ settings, limiter }, notification) {
+        if (!limiter.allow()) return;
+
+        // Tell the receiver how many notifications the rate limit dropped since the last one
+        let sent = notification;
+        if (limiter.suppressed > 0) {
+            sent = { ...notification, fields: { ...notification.fields, suppressed: limiter.suppressed } };
+            limiter.suppressed = 0;
+        }
+
+        const type = CHANNEL_TYPES[settings.type];
+        const target = type.target(settings);
+        if (!target) {
+            this.logger.warn('Notification channel is not configured, skipping', { channel: settings.type });
+            return;
+        }
+        addSecret(target);
+
+        try {
+            await postJson(target, type.body(sent, settings));
+        } catch (error) {
+            this.logger.warn('Failed to send notification', { channel: settings.type, event: notification.event, error: redact(error.message) });
+        }
+    }
+
+    // Wait for notifications still being delivered, e.g. before the process exits
+    async flush() {
+        await Promise.all([...this.pending]);
+    }
+}
+
+module.exports = { NOTIFY_DEFAULTS, CHANNEL_DEFAULTS, CHANNEL_TYPES, SEVERITIES, Notifier };
@@ -0,0 +1,146 @@
+const { ethers } = require('ethers');
+const { ClassifiedError } = require('./errors');
+const { formatAmount } = require('./tokens');
+
+// Default balance guardrails (overridable via the "preflight" block in config.json)
+//   reserve_cbtc - CBTC that is never spent, so the wallet can always pay for a cancel
+//   gas          - gas units assumed per transaction when planning a wallet's tasks
+const PREFLIGHT_DEFAULTS = {
+    enabled: true,
+    reserve_cbtc: 0.0001,
+    gas: {
+        self_transfer: 21000,
+        contract_deploy: 1500000,
+        contract_interact: 100000,
+        swap: 200000
+    }
+};
+
+// Gas units assumed for tasks that neither have a gas setting nor declare their own
+const DEFAULT_GAS = 100000;
+
+function resolvePreflightSettings(settings = {}) {
+    return {
+        ...PREFLIGHT_DEFAULTS,
+        ...settings,
+        gas: { ...PREFLIGHT_DEFAULTS.gas, ...(settings.gas || {}) }
+    };
+}
+
+const format = (value) => `${ethers.utils.formatEther(value)} CBTC`;
+
+// Native balance checks before a wallet's tasks and before each transaction
+class BalanceGuard {
+    constructor(wallet, fees, settings = {}, { logger = console } = {}) {
+        this.wallet = wallet;
+        this.fees = fees;
+        this.settings = resolvePreflightSettings(settings);
+        this.reserve = ethers.utils.parseEther(formatAmount(this.settings.reserve_cbtc, 18));
+        this.logger = logger;
+    }
+
+    get enabled() {
+        return this.settings.enabled !== false;
+    }
+
+    // Balance left to spend once the reserve is set aside
+    async getSpendable() {
+        const balance = await this.wallet.getBalance();
+        return balance.gt(this.reserve) ? balance.sub(this.reserve) : ethers.BigNumber.from(0);
+    }
+
+    // Worst-case fee of one transaction of `task`, from the configured gas units
+    // (or `gas` for tasks without an entry) with the same headroom the fee
+    // strategy adds to gas limits
+    async estimateFee(task, gas = DEFAULT_GAS) {
+        const { maxFeePerGas } = await this.fees.getFees(task);
+        const gasLimit = Math.ceil((this.settings.gas[task] || gas) * this.fees.settings.gas_limit_multiplier);
+        return maxFeePerGas.mul(gasLimit);
+    }
+
+    // Scale down the planned runs so their estimated fees and spent value fit the
+    // spendable balance. `entries` are { name, task, runs, txs, value, gas } where
+    // `txs` is the number of transactions per run, `value` the CBTC each run spends
+    // and `gas` the gas units of tasks missing from the gas settings.
+    // Returns the affordable runs per entry name.
+    async planWallet(entries) {
+        const runs = Object.fromEntries(entries.map(entry => [entry.name, entry.runs]));
+        if (!this.enabled) return runs;
+
+        const costs = await Promise.all(entries.map(async (entry) => {
+            const fee = await this.estimateFee(entry.task, entry.gas);
+            return fee.mul(entry.txs || 1).add(entry.value || 0);
+        }));
+        const total = entries.reduce((sum, entry, i) => sum.add(costs[i].mul(entry.runs)), ethers.BigNumber.from(0));
+        const spendable = await this.getSpendable();
+        if (total.lte(spendable)) return runs;
+
+        // Every entry keeps the same share of its planned runs
+        entries.forEach((entry) => {
+            const affordable = total.isZero() ? 0 : ethers.BigNumber.from(entry.runs).mul(spendable).div(total).toNumber();
+            runs[entry.name] = affordable;
+            if (affordable < entry.runs) {
+                this.logger.warn(`Not enough CBTC for the planned tasks, ${affordable === 0 ? 'skipping' : 'scaling down'}`, {
+                    address: this.wallet.address,
+                    task: entry.task,
+                    ...(entry.name !== entry.task ? { direction: entry.name } : {}),
+                    runs: `${entry.runs} -> ${affordable}`,
+                    estimatedCost: format(total),
+                    available: format(spendable),
+                    reserve: format(this.reserve)
+                });
+            }
+        });
+        return runs;
+    }
+
+    // Largest part of `value` that can be sent in a `task` transaction while
+    // keeping its fee and the reserve covered; null when nothing is left.
+    // Amounts rounded down to zero are skipped rather than sent as empty transfers.
+    async fitValue(task, value, label) {
+        if (value.isZero()) {
+            this.logger.warn(`${label} skipped, the amount rounds down to 0 CBTC`, { address: this.wallet.address });
+            return null;
+        }
+        if (!this.enabled) return value;
+
+        const [spendable, fee] = await Promise.all([this.getSpendable(), this.estimateFee(task)]);
+        const available = spendable.sub(fee);
+        if (available.lte(0)) {
+            this.logger.warn(`${label} skipped, not enough CBTC`, {
+                address: this.wallet.address,
+                required: format(value.add(fee)),
+                available: format(spendable),
+                reserve: format(this.reserve)
+            });
+            return null;
+        }
+        if (available.lt(value)) {
+            this.logger.warn(`${label} scaled down to the available CBTC`, {
+                address: this.wallet.address,
+                amount: `${format(value)} -> ${format(available)}`,
+                reserve: format(this.reserve)
+            });
+            return available;
+        }
+        return value;
+    }
+
+    // Refuse to broadcast a transaction whose maximum cost exceeds the spendable balance
+    async assertAffordable(task, overrides, value = 0) {
+        if (!this.enabled) return;
+
+        const cost = overrides.gasLimit.mul(overrides.maxFeePerGas).add(value);
+        const spendable = await this.getSpendable();
+        if (cost.lte(spendable)) return;
+
+        const reason = `transaction needs up to ${format(cost)}, ${format(spendable)} available above the ${format(this.reserve)} reserve`;
+        throw new ClassifiedError(new Error(`Insufficient CBTC for ${task}: ${reason}`), {
+            category: 'funds',
+            strategy: 'skip_task',
+            reason
+        });
+    }
+}
+
+module.exports = { PREFLIGHT_DEFAULTS, resolvePreflightSettings, BalanceGuard };
@@ -0,0 +1,42 @@
+const fs = require('fs');
+const path = require('path');
+
+// Per-wallet registry of contracts deployed by the bot, keyed by chain ID and wallet address.
+// ABIs are stored alongside addresses so contracts stay usable after templates change.
+class ContractRegistry {
+    constructor(file) {
+        this.file = file;
+        this.data = fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : {};
+    }
+
+    list(chainId, wallet, types) {
+        const entries = ((this.data[chainId] || {})[wallet.toLowerCase()]) || [];
+        return types ? entries.filter(entry => types.includes(entry.type)) : entries;
+    }
+
+    add(chainId, wallet, entry) {
+        const chain = this.data[chainId] = this.data[chainId] || {};
+        const key = wallet.toLowerCase();
+        chain[key] = chain[key] || [];
+        chain[key].push({ ...entry, deployedAt: new Date().toISOString() });
+        this.save();
+    }
+
+    // Merge `fields` into the entry of the contract at `address`
+    update(chainId, wallet, address, fields) {
+        const entry = this.list(chainId, wallet).find(item => item.address.toLowerCase() === address.toLowerCase());
+        if (!entry) return;
+        Object.assign(entry, fields);
+        this.save();
+    }
+
+    // Write to a temp file first so a crash never leaves a truncated registry
+    save() {
+        fs.mkdirSync(path.dirname(this.file), { recursive: true });
+        const tmp = `${this.file}.tmp`;
+        fs.writeFileSync(tmp, JSON.stringify(this.data, null, 2));
+        fs.renameSync(tmp, this.file);
+    }
+}
+
+module.exports = { ContractRegistry };
@@ -0,0 +1,189 @@
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+
+// Per-wallet outcome of a cycle. Transactions are counted per task: `sent` when
+// broadcast, `succeeded` / `failed` once mined (or cancelled), and `errors` for
+// task steps that ended in an error, whether or not anything was broadcast.
+class WalletReport {
+    constructor(address, index = null) {
+        this.address = address;
+        this.index = index;
+        this.status = 'completed';
+        this.error = null;
+        this.balances = { before: null, after: null };
+        this.tasks = {};
+        this.gasCost = ethers.BigNumber.from(0);
+        this.contracts = [];
+    }
+
+    task(name) {
+        return this.tasks[name] = this.tasks[name] || { sent: 0, succeeded: 0, failed: 0, errors: 0 };
+    }
+
+    recordSent(task) {
+        this.task(task).sent++;
+    }
+
+    // Reverted receipts still cost gas, so they are added to the total as well
+    recordMined(task, receipt) {
+        this.task(task)[receipt.status === 0 ? 'failed' : 'succeeded']++;
+        this.addGasCost(receipt);
+    }
+
+    recordFailed(task, receipt) {
+        this.task(task).failed++;
+        if (receipt) this.addGasCost(receipt);
+    }
+
+    recordError(task) {
+        this.task(task).errors++;
+    }
+
+    recordContract(contract) {
+        this.contracts.push(contract);
+    }
+
+    addGasCost(receipt) {
+        if (receipt.gasUsed && receipt.effectiveGasPrice) {
+            this.gasCost = this.gasCost.add(receipt.gasUsed.mul(receipt.effectiveGasPrice));
+        }
+    }
+
+    toJSON() {
+        return {
+            index: this.index,
+            address: this.address,
+            status: this.status,
+            error: this.error,
+            balances: this.balances,
+            tasks: this.tasks,
+            gasCost: ethers.utils.formatEther(this.gasCost),
+            contracts: this.contracts
+        };
+    }
+}
+
+const CSV_COLUMNS = ['wallet', 'address', 'status', 'cbtc_before', 'cbtc_after', 'usdc_before', 'usdc_after', 'gas_cost_cbtc', 'contracts_deployed'];
+const TASK_COLUMNS = ['sent', 'succeeded', 'failed', 'errors'];
+
+function listTasks(wallets) {
+    return [...new Set(wallets.flatMap(wallet => Object.keys(wallet.tasks)))];
+}
+
+function balance(wallet, when, token) {
+    const balances = wallet.balances[when];
+    return balances && balances[token] !== undefined ? balances[token] : '';
+}
+
+function csvValue(value) {
+    const text = String(value ?? '');
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function formatCsv(report) {
+    const wallets = report.wallets.map(wallet => wallet.toJSON());
+    const tasks = listTasks(wallets);
+    const header = [...CSV_COLUMNS, ...tasks.flatMap(task => TASK_COLUMNS.map(column => `${task}_${column}`))];
+
+    const rows = wallets.map(wallet => [
+        wallet.index,
+        wallet.address,
+        wallet.status,
+        balance(wallet, 'before', 'cbtc'),
+        balance(wallet, 'after', 'cbtc'),
+        balance(wallet, 'before', 'usdc'),
+        balance(wallet, 'after', 'usdc'),
+        wallet.gasCost,
+        wallet.contracts.map(contract => `${contract.type}:${contract.address}`).join(' '),
+        ...tasks.flatMap(task => TASK_COLUMNS.map(column => (wallet.tasks[task] || {})[column] || 0))
+    ]);
+
+    return [header, ...rows].map(row => row.map(csvValue).join(',')).join('\n') + '\n';
+}
+
+function formatGrid(rows) {
+    const widths = rows[0].map((_, column) => Math.max(...rows.map(row => String(row[column]).length)));
+    const line = `+${widths.map(width => '-'.repeat(width + 2)).join('+')}+`;
+    const format = row => `| ${row.map((cell, column) => String(cell).padEnd(widths[column])).join(' | ')} |`;
+    return [line, format(rows[0]), line, ...rows.slice(1).map(format), line].join('\n');
+}
+
+// Human readable report: a wallet overview followed by per-task counts
+function formatTable(report) {
+    const wallets = report.wallets.map(wallet => wallet.toJSON());
+    const tasks = listTasks(wallets);
+    const change = (wallet, token) => `${balance(wallet, 'before', token) || '?'} -> ${balance(wallet, 'after', token) || '?'}`;
+
+    const overview = formatGrid([
+        ['Wallet', 'Address', 'Status', 'CBTC', 'USDC', 'Gas cost (CBTC)', 'Contracts'],
+        ...wallets.map(wallet => [
+            wallet.index,
+            wallet.address,
+            wallet.status,
+            change(wallet, 'cbtc'),
+            change(wallet, 'usdc'),
+            wallet.gasCost,
+            wallet.contracts.length
+        ])
+    ]);
+
+    const sections = [
+        `Cycle ${report.cycleId} on ${report.network} (${report.finishedAt})`,
+        overview
+    ];
+
+    if (tasks.length > 0) {
+        sections.push(formatGrid([
+            ['Wallet', 'Task', 'Sent', 'Succeeded', 'Failed', 'Errors'],
+            ...wallets.flatMap(wallet => Object.entries(wallet.tasks).map(([task, counts]) => [
+                wallet.index,
+                task,
+                ...TASK_COLUMNS.map(column => counts[column])
+            ]))
+        ]));
+    }
+
+    // The verification column only appears when explorer verification ran
+    const deployed = wallets.flatMap(wallet => wallet.contracts.map(contract => ({ wallet, contract })));
+    const verified = deployed.some(({ contract }) => contract.verification);
+    if (deployed.length > 0) {
+        sections.push(formatGrid([
+            ['Wallet', 'Contract', 'Address', ...(verified ? ['Verification'] : [])],
+            ...deployed.map(({ wallet, contract }) => [
+                wallet.index,
+                contract.type,
+                contract.address,
+                ...(verified ? [contract.verification || '-'] : [])
+            ])
+        ]));
+    }
+
+    const errors = wallets.filter(wallet => wallet.error);
+    if (errors.length > 0) {
+        sections.push(errors.map(wallet => `Wallet ${wallet.index} failed: ${wallet.error}`).join('\n'));
+    }
+
+    return sections.join('\n\n') + '\n';
+}
+
+// Write the cycle report as JSON, CSV and a plain-text table into `dir`
+function writeCycleReport(dir, report) {
+    fs.mkdirSync(dir, { recursive: true });
+    const base = path.join(dir, `report-${report.cycleId}`);
+    const files = { json: `${base}.json`, csv: `${base}.csv`, table: `${base}.txt` };
+    const table = formatTable(report);
+
+    fs.writeFileSync(files.json, JSON.stringify({
+        cycleId: report.cycleId,
+        network: report.network,
+        finishedAt: report.finishedAt,
+        wallets: report.wallets
+    }, null, 2));
+    fs.writeFileSync(files.csv, formatCsv(report));
+    fs.writeFileSync(files.table, table);
+
+    return { files, table };
+}
+
+module.exports = { WalletReport, writeCycleReport, formatTable, formatCsv, formatGrid };
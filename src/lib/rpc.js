@@ -0,0 +1,207 @@
+const { ethers } = require('ethers');
+const { classifyError } = require('./errors');
+
+// Default RPC settings (overridable via the "rpc" block in config.json)
+//   timeout_seconds               - requests taking longer fail over to the next endpoint
+//   max_requests_per_second       - per endpoint, further requests wait their turn (0 = no limit)
+//   max_block_lag                 - endpoints more blocks behind the highest one are unhealthy
+//   max_latency_ms                - endpoints answering the health check slower are unhealthy
+//   health_check_interval_seconds - how often the endpoints are checked again
+const RPC_DEFAULTS = {
+    timeout_seconds: 10,
+    max_requests_per_second: 10,
+    max_block_lag: 5,
+    max_latency_ms: 3000,
+    health_check_interval_seconds: 60
+};
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Short description of a failed request, without the request body ethers adds
+function describeError(error) {
+    const parts = [error.reason, error.status && `HTTP ${error.status}`].filter(Boolean);
+    return parts.length > 0 ? parts.join(', ') : error.message;
+}
+
+// Whether the endpoint failed (unreachable, timed out, rate limited, HTTP error)
+// rather than the node answering with an error. ethers wraps JSON-RPC error
+// responses in a SERVER_ERROR, so those are judged by the node's own error.
+function isEndpointFailure(error) {
+    const answered = error.code === ethers.errors.SERVER_ERROR && error.error && typeof error.error.code === 'number';
+    return classifyError(answered ? error.error : error).category === 'network';
+}
+
+// Spaces requests at least 1 / maxPerSecond seconds apart
+class RequestLimiter {
+    constructor(maxPerSecond) {
+        this.interval = maxPerSecond > 0 ? 1000 / maxPerSecond : 0;
+        this.next = 0;
+    }
+
+    async take() {
+        if (!this.interval) return;
+        const now = Date.now();
+        const at = Math.max(now, this.next);
+        this.next = at + this.interval;
+        if (at > now) await delay(at - now);
+    }
+}
+
+class RpcEndpoint {
+    constructor(url, chainId, settings) {
+        this.url = url;
+        // One attempt per request: rate limits fail over instead of being retried here
+        this.provider = new ethers.providers.StaticJsonRpcProvider({
+            url,
+            timeout: settings.timeout_seconds * 1000,
+            throttleLimit: 1
+        }, chainId);
+        this.limiter = new RequestLimiter(settings.max_requests_per_second);
+        this.healthy = true;
+        this.reason = null;
+        this.error = null;
+        this.latency = null;
+        this.blockNumber = null;
+        // Set while the last successful health check found another chain
+        this.wrongChain = false;
+    }
+
+    async send(method, params) {
+        await this.limiter.take();
+        return this.provider.send(method, params);
+    }
+}
+
+// Provider over the RPC endpoints of a network, shared by every wallet. Requests
+// go to the first healthy endpoint in the configured order and fail over to the
+// next one on network errors (timeouts, rate limits, HTTP errors). Errors the
+// chain returns, like reverts or nonce errors, are passed on as they are.
+class RpcPool extends ethers.providers.StaticJsonRpcProvider {
+    constructor(network, settings = {}, { logger = console } = {}) {
+        super(network.rpcUrls[0], network.chainId);
+        this.profile = network;
+        this.settings = { ...RPC_DEFAULTS, ...settings };
+        this.fingerprint = JSON.stringify({ rpcUrls: network.rpcUrls, chainId: network.chainId, settings });
+        this.logger = logger;
+        this.endpoints = network.rpcUrls.map(url => new RpcEndpoint(url, network.chainId, this.settings));
+        this.active = null;
+        this.checkedAt = 0;
+        this.checking = null;
+    }
+
+    // Check the chain ID, block height and latency of every endpoint. Concurrent
+    // callers share one check. Resolves to the state of each endpoint.
+    checkHealth() {
+        if (!this.checking) {
+            this.checking = this.runHealthCheck().finally(() => {
+                this.checking = null;
+            });
+        }
+        return this.checking;
+    }
+
+    async runHealthCheck() {
+        const results = await Promise.all(this.endpoints.map(async (endpoint) => {
+            const started = Date.now();
+            try {
+                const [chainId, blockNumber] = await Promise.all([
+                    endpoint.send('eth_chainId', []),
+                    endpoint.send('eth_blockNumber', [])
+                ]);
+                return {
+                    endpoint,
+                    latency: Date.now() - started,
+                    chainId: ethers.BigNumber.from(chainId).toNumber(),
+                    blockNumber: ethers.BigNumber.from(blockNumber).toNumber()
+                };
+            } catch (error) {
+                return { endpoint, error };
+            }
+        }));
+
+        const heights = results.filter(result => !result.error && result.chainId === this.profile.chainId).map(result => result.blockNumber);
+        const highest = Math.max(...heights);
+
+        results.forEach(({ endpoint, error, latency, chainId, blockNumber }) => {
+            if (error) {
+                this.markUnhealthy(endpoint, describeError(error), error);
+                return;
+            }
+            endpoint.latency = latency;
+            endpoint.blockNumber = blockNumber;
+            endpoint.wrongChain = chainId !== this.profile.chainId;
+
+            if (endpoint.wrongChain) {
+                this.markUnhealthy(endpoint, `serves chain ${chainId}, expected ${this.profile.chainId}`);
+            } else if (highest - blockNumber > this.settings.max_block_lag) {
+                this.markUnhealthy(endpoint, `${highest - blockNumber} blocks behind`);
+            } else if (latency > this.settings.max_latency_ms) {
+                this.markUnhealthy(endpoint, `answered in ${latency}ms`);
+            } else if (!endpoint.healthy) {
+                endpoint.healthy = true;
+                endpoint.reason = null;
+                endpoint.error = null;
+                this.logger.info('RPC endpoint is healthy again', { rpc: endpoint.url, latency: `${latency}ms`, block: blockNumber });
+            }
+        });
+        this.checkedAt = Date.now();
+
+        return this.endpoints.map(({ url, healthy, reason, error, latency, blockNumber }) => ({ url, healthy, reason, error, latency, blockNumber }));
+    }
+
+    markUnhealthy(endpoint, reason, error = null) {
+        if (endpoint.healthy) {
+            this.logger.warn('RPC endpoint is unhealthy', { rpc: endpoint.url, reason });
+        }
+        endpoint.healthy = false;
+        endpoint.reason = reason;
+        endpoint.error = error;
+    }
+
+    // Switch to `endpoint`, logging why the previous one was left
+    activate(endpoint, reason) {
+        const previous = this.active;
+        this.active = endpoint;
+        if (!previous) {
+            this.logger.info('Using RPC endpoint', { rpc: endpoint.url });
+        } else if (reason) {
+            this.logger.warn('RPC failover', { from: previous.url, rpc: endpoint.url, reason });
+        } else {
+            this.logger.info('Switched back to RPC endpoint', { from: previous.url, rpc: endpoint.url });
+        }
+    }
+
+    async send(method, params) {
+        if (Date.now() - this.checkedAt > this.settings.health_check_interval_seconds * 1000) {
+            await this.checkHealth();
+        }
+
+        // Lagging or slow endpoints are still tried once the healthy ones failed,
+        // endpoints of another chain never are (their nonces and balances are not ours)
+        const candidates = [
+            ...this.endpoints.filter(endpoint => endpoint.healthy),
+            ...this.endpoints.filter(endpoint => !endpoint.healthy && !endpoint.wrongChain)
+        ];
+        if (candidates.length === 0) {
+            throw new Error(`No RPC endpoint serves chain ${this.profile.chainId}`);
+        }
+
+        let lastError = null;
+        for (const endpoint of candidates) {
+            if (endpoint !== this.active) {
+                const left = this.active;
+                this.activate(endpoint, lastError ? describeError(lastError) : left && !left.healthy ? left.reason : null);
+            }
+            try {
+                return await endpoint.send(method, params);
+            } catch (error) {
+                if (!isEndpointFailure(error)) throw error;
+                this.markUnhealthy(endpoint, describeError(error), error);
+                lastError = error;
+            }
+        }
+        throw lastError;
+    }
+}
+
+module.exports = { RPC_DEFAULTS, RpcPool };
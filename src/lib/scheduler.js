@@ -0,0 +1,278 @@
+const fs = require('fs');
+const path = require('path');
+const chalk = require('chalk');
+const shutdown = require('./shutdown');
+
+// Default schedule (overridable via the "schedule" block in config.json)
+//   interval - the next cycle starts interval_hours after the previous one finished
+//   cron     - the next cycle starts at the next match of `cron` (local time)
+// `windows` restricts when cycles may start; an empty list allows any time.
+const SCHEDULE_DEFAULTS = {
+    mode: 'interval',
+    interval_hours: 25,
+    cron: '0 9 * * *',
+    windows: [],
+    state_file: 'data/schedule.json'
+};
+
+const MONTH_NAMES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+const CRON_FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'day of month', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12, names: MONTH_NAMES, offset: 1 },
+    { name: 'day of week', min: 0, max: 7, names: DAY_NAMES, offset: 0 }
+];
+
+const MINUTE = 60 * 1000;
+
+// Parse one cron field ("*", "1,15", "1-5", "*/10", "mon-fri") into a set of values
+function parseField(text, field) {
+    const toNumber = (value) => {
+        const index = field.names ? field.names.indexOf(value.toLowerCase()) : -1;
+        const number = index !== -1 ? index + field.offset : Number(value);
+        if (!/^\d+$/.test(String(number)) || number < field.min || number > field.max) {
+            throw new Error(`Invalid ${field.name} "${value}" in cron expression`);
+        }
+        return number;
+    };
+
+    const values = new Set();
+    for (const part of text.split(',')) {
+        const [range, stepText] = part.split('/');
+        const step = stepText === undefined ? 1 : Number(stepText);
+        if (!Number.isInteger(step) || step < 1) {
+            throw new Error(`Invalid step "${stepText}" for ${field.name} in cron expression`);
+        }
+
+        let [start, end] = range === '*' ? [field.min, field.max] : range.split('-').map(toNumber);
+        if (end === undefined) end = stepText === undefined ? start : field.max;
+        if (start > end) throw new Error(`Invalid ${field.name} range "${range}" in cron expression`);
+
+        for (let value = start; value <= end; value += step) values.add(value);
+    }
+
+    // 7 is an alias for Sunday
+    if (field.name === 'day of week' && values.delete(7)) values.add(0);
+    return { values, any: text === '*' };
+}
+
+function parseCron(expression) {
+    const parts = String(expression).trim().split(/\s+/);
+    if (parts.length !== 5) {
+        throw new Error(`Cron expression "${expression}" must have 5 fields (minute hour day-of-month month day-of-week)`);
+    }
+    const [minute, hour, dayOfMonth, month, dayOfWeek] = parts.map((part, i) => parseField(part, CRON_FIELDS[i]));
+    return { minute, hour, dayOfMonth, month, dayOfWeek };
+}
+
+// Like cron, a day matches on day-of-month OR day-of-week when both are restricted
+function matchesDay(cron, date) {
+    const dom = cron.dayOfMonth.values.has(date.getDate());
+    const dow = cron.dayOfWeek.values.has(date.getDay());
+    if (cron.dayOfMonth.any) return dow;
+    if (cron.dayOfWeek.any) return dom;
+    return dom || dow;
+}
+
+// First time strictly after `after` that matches the cron expression
+function nextCronTime(cron, after) {
+    const date = new Date(after.getTime());
+    date.setSeconds(0, 0);
+    date.setMinutes(date.getMinutes() + 1);
+
+    // Skip whole months, days and hours that cannot match; bounded by ~5 years
+    const limit = after.getTime() + 5 * 366 * 24 * 60 * MINUTE;
+    while (date.getTime() <= limit) {
+        if (!cron.month.values.has(date.getMonth() + 1)) {
+            date.setMonth(date.getMonth() + 1, 1);
+            date.setHours(0, 0, 0, 0);
+        } else if (!matchesDay(cron, date)) {
+            date.setDate(date.getDate() + 1);
+            date.setHours(0, 0, 0, 0);
+        } else if (!cron.hour.values.has(date.getHours())) {
+            date.setHours(date.getHours() + 1, 0, 0, 0);
+        } else if (!cron.minute.values.has(date.getMinutes())) {
+            date.setMinutes(date.getMinutes() + 1, 0, 0);
+        } else {
+            return date;
+        }
+    }
+    throw new Error('Cron expression never matches');
+}
+
+function parseTime(text) {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(String(text));
+    if (!match || Number(match[1]) > 24 || Number(match[2]) > 59 || (Number(match[1]) === 24 && Number(match[2]) !== 0)) {
+        throw new Error(`Invalid time "${text}", expected HH:MM`);
+    }
+    return Number(match[1]) * 60 + Number(match[2]);
+}
+
+// Windows are { start: "HH:MM", end: "HH:MM", days: "mon-fri" }; `days` uses the
+// cron day-of-week syntax and a window ending before it starts runs past midnight
+function parseWindow(window) {
+    return {
+        start: parseTime(window.start),
+        end: parseTime(window.end),
+        days: parseField(window.days || '*', CRON_FIELDS[4]).values
+    };
+}
+
+function inWindow(window, date) {
+    const minutes = date.getHours() * 60 + date.getMinutes();
+    const today = date.getDay();
+    const yesterday = (today + 6) % 7;
+
+    if (window.start < window.end) {
+        return window.days.has(today) && minutes >= window.start && minutes < window.end;
+    }
+    // Overnight window (or a full day when start equals end)
+    return (window.days.has(today) && minutes >= window.start) || (window.days.has(yesterday) && minutes < window.end);
+}
+
+class Scheduler {
+    constructor(settings = {}, { baseDir = process.cwd(), logger = console } = {}) {
+        this.settings = { ...SCHEDULE_DEFAULTS, ...settings };
+        this.logger = logger;
+        this.stateFile = path.resolve(baseDir, this.settings.state_file);
+
+        if (!['interval', 'cron'].includes(this.settings.mode)) {
+            throw new Error(`Unknown schedule mode "${this.settings.mode}", expected interval or cron`);
+        }
+        if (this.settings.mode === 'interval' && !(this.settings.interval_hours > 0)) {
+            throw new Error('schedule.interval_hours must be greater than 0');
+        }
+        this.cron = this.settings.mode === 'cron' ? parseCron(this.settings.cron) : null;
+        this.windows = this.settings.windows.map(parseWindow);
+
+        // A changed schedule invalidates the persisted next run
+        this.fingerprint = JSON.stringify({
+            mode: this.settings.mode,
+            interval_hours: this.settings.interval_hours,
+            cron: this.settings.cron,
+            windows: this.settings.windows
+        });
+    }
+
+    isAllowed(date) {
+        return this.windows.length === 0 || this.windows.some(window => inWindow(window, date));
+    }
+
+    // Earliest time at or after `date` inside an allowed window
+    nextAllowed(date) {
+        if (this.isAllowed(date)) return date;
+
+        const candidate = new Date(date.getTime());
+        candidate.setSeconds(0, 0);
+        for (let i = 0; i < 8 * 24 * 60; i++) {
+            candidate.setMinutes(candidate.getMinutes() + 1);
+            if (this.isAllowed(candidate)) return candidate;
+        }
+        throw new Error('schedule.windows never allow a cycle to start');
+    }
+
+    // Start time of the cycle following one that finished at `finishedAt`
+    nextRunAfter(finishedAt) {
+        if (this.settings.mode === 'interval') {
+            return this.nextAllowed(new Date(finishedAt.getTime() + this.settings.interval_hours * 60 * MINUTE));
+        }
+
+        let candidate = nextCronTime(this.cron, finishedAt);
+        for (let i = 0; i < 1000 && !this.isAllowed(candidate); i++) {
+            candidate = nextCronTime(this.cron, candidate);
+        }
+        if (!this.isAllowed(candidate)) {
+            throw new Error('schedule.cron never matches a time inside schedule.windows');
+        }
+        return candidate;
+    }
+
+    readState() {
+        if (!fs.existsSync(this.stateFile)) return null;
+        try {
+            return JSON.parse(fs.readFileSync(this.stateFile, 'utf8'));
+        } catch (error) {
+            this.logger.warn('Ignoring unreadable schedule state', { file: this.stateFile, error: error.message });
+            return null;
+        }
+    }
+
+    writeState(state) {
+        fs.mkdirSync(path.dirname(this.stateFile), { recursive: true });
+        const temp = `${this.stateFile}.tmp`;
+        fs.writeFileSync(temp, JSON.stringify({ ...state, schedule: this.fingerprint }, null, 2));
+        fs.renameSync(temp, this.stateFile);
+    }
+
+    // When the next cycle is due. Without a persisted next run (first start or a
+    // changed schedule) it is due as soon as a window allows; a next run missed
+    // while the bot was stopped starts right away.
+    getDueTime(now = new Date()) {
+        const state = this.readState();
+        if (!state) return this.nextAllowed(now);
+
+        if (state.schedule !== this.fingerprint) {
+            if (!state.lastFinishedAt) return this.nextAllowed(now);
+            const due = this.nextRunAfter(new Date(state.lastFinishedAt));
+            return due > now ? due : this.nextAllowed(now);
+        }
+
+        const due = new Date(state.nextRunAt);
+        if (due <= now) {
+            if (due < now - MINUTE) {
+                this.logger.info('Scheduled run was missed while stopped, starting now', { scheduledFor: due.toISOString() });
+            }
+            return this.nextAllowed(now);
+        }
+        return due;
+    }
+
+    // Persist the finished cycle and return the start time of the next one
+    recordRun(startedAt, finishedAt = new Date()) {
+        const nextRunAt = this.nextRunAfter(finishedAt);
+        this.writeState({
+            lastStartedAt: startedAt.toISOString(),
+            lastFinishedAt: finishedAt.toISOString(),
+            nextRunAt: nextRunAt.toISOString()
+        });
+        return nextRunAt;
+    }
+
+    // Wait until `due`; returns false when interrupted by a shutdown. A live
+    // countdown is only drawn on a terminal, otherwise the next run is logged once.
+    async waitUntil(due) {
+        if (due <= new Date()) return !shutdown.isShuttingDown();
+
+        this.logger.info('Next cycle scheduled', { at: due.toISOString(), mode: this.settings.mode });
+        const tty = Boolean(process.stdout.isTTY);
+
+        while (!shutdown.isShuttingDown()) {
+            const remaining = due.getTime() - Date.now();
+            if (remaining <= 0) break;
+
+            if (tty) {
+                const seconds = Math.ceil(remaining / 1000);
+                const time = [Math.floor(seconds / 3600), Math.floor((seconds % 3600) / 60), seconds % 60]
+                    .map(value => String(value).padStart(2, '0'))
+                    .join(':');
+                process.stdout.clearLine(0);
+                process.stdout.cursorTo(0);
+                process.stdout.write(chalk.gray('Time Remaining: ') + chalk.cyan(time));
+            }
+            await shutdown.sleep(Math.min(remaining, tty ? 1000 : MINUTE));
+        }
+
+        if (tty) process.stdout.write('\n');
+        return !shutdown.isShuttingDown();
+    }
+}
+
+module.exports = {
+    SCHEDULE_DEFAULTS,
+    Scheduler,
+    parseCron,
+    nextCronTime
+};
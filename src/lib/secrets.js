@@ -0,0 +1,20 @@
+// Secrets loaded at runtime (private keys, mnemonics, passwords). Anything
+// registered here is masked by redact(), which the logger applies to every line.
+const secrets = new Set();
+
+function addSecret(value) {
+    if (typeof value !== 'string' || value.length < 8) return;
+    secrets.add(value);
+    if (value.startsWith('0x')) secrets.add(value.slice(2));
+}
+
+function redact(text) {
+    if (typeof text !== 'string' || secrets.size === 0) return text;
+    let result = text;
+    for (const secret of secrets) {
+        if (result.includes(secret)) result = result.split(secret).join('[redacted]');
+    }
+    return result;
+}
+
+module.exports = { addSecret, redact };
@@ -0,0 +1,68 @@
+// Graceful shutdown on SIGINT / SIGTERM. Once requested, no new transaction is
+// broadcast, sleeps end early and transactions already in flight are still
+// waited for, so the journal can resume the cycle on the next start.
+let requested = null;
+const wakers = new Set();
+
+class ShutdownError extends Error {
+    constructor(signal) {
+        super(`Shutdown requested (${signal}), not sending further transactions`);
+        this.name = 'ShutdownError';
+        this.signal = signal;
+    }
+}
+
+function isShuttingDown() {
+    return requested !== null;
+}
+
+function requestShutdown(signal = 'shutdown') {
+    if (requested) return;
+    requested = signal;
+    wakers.forEach(wake => wake());
+    wakers.clear();
+}
+
+// Throw instead of starting new work once a shutdown was requested
+function assertNotShuttingDown() {
+    if (requested) throw new ShutdownError(requested);
+}
+
+// Sleep that resolves early when a shutdown is requested
+function sleep(ms) {
+    if (requested) return Promise.resolve();
+
+    return new Promise((resolve) => {
+        const wake = () => {
+            clearTimeout(timer);
+            wakers.delete(wake);
+            resolve();
+        };
+        const timer = setTimeout(wake, ms);
+        wakers.add(wake);
+    });
+}
+
+// First signal requests a graceful shutdown, a second one exits immediately
+function installSignalHandlers(logger) {
+    const onSignal = (signal) => {
+        if (requested) {
+            logger.warn('Second signal received, exiting without waiting', { signal });
+            process.exit(130);
+        }
+        logger.warn('Shutting down after in-flight transactions confirm, send the signal again to force exit', { signal });
+        requestShutdown(signal);
+    };
+
+    process.on('SIGINT', onSignal);
+    process.on('SIGTERM', onSignal);
+}
+
+module.exports = {
+    ShutdownError,
+    isShuttingDown,
+    requestShutdown,
+    assertNotShuttingDown,
+    sleep,
+    installSignalHandlers
+};
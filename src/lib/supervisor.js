@@ -0,0 +1,168 @@
+const { ethers } = require('ethers');
+const { ClassifiedError } = require('./errors');
+
+// Default stuck transaction settings (overridable via the "stuck_transactions" block in config.json)
+const SUPERVISOR_DEFAULTS = {
+    timeout_seconds: 180,
+    poll_interval_seconds: 5,
+    max_bumps: 3,
+    bump_percent: 20
+};
+
+// Nodes reject replacements that raise the fees by less than this
+const MIN_REPLACEMENT_BUMP_PERCENT = 10;
+
+// Polls after the nonce is consumed before concluding none of our hashes was mined
+const FOREIGN_NONCE_POLLS = 3;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Supervises broadcast transactions until one of them is mined. A transaction that
+// stays pending past the timeout is replaced with the same nonce and bumped fees;
+// after max_bumps replacements a zero-value self-transfer cancels the nonce.
+// Every hash sent for a nonce is watched, so whichever replacement is mined wins.
+class TransactionSupervisor {
+    constructor(wallet, fees, settings = {}, { logger = null } = {}) {
+        this.wallet = wallet;
+        this.fees = fees;
+        this.settings = { ...SUPERVISOR_DEFAULTS, ...settings };
+        this.logger = logger;
+
+        if (this.settings.bump_percent < MIN_REPLACEMENT_BUMP_PERCENT) {
+            throw new Error(`stuck_transactions.bump_percent must be at least ${MIN_REPLACEMENT_BUMP_PERCENT}`);
+        }
+    }
+
+    log(level, message, details = {}) {
+        if (this.logger) this.logger[level](message, { address: this.wallet.address, ...details });
+    }
+
+    // Wait for `tx` (or one of its replacements) to be mined and return the receipt.
+    // `onReplace` is called with every replacement so callers can track its hash.
+    async wait(tx, { task, onReplace = null } = {}) {
+        const sent = [tx];
+        let latest = tx;
+        let bumps = 0;
+        let cancelled = false;
+        let cancelTx = null;
+        let foreignPolls = 0;
+        let deadline = Date.now() + this.settings.timeout_seconds * 1000;
+
+        while (true) {
+            const mined = await this.findMined(sent);
+            if (mined) {
+                const { receipt, tx: minedTx } = mined;
+                if (minedTx.hash !== tx.hash) {
+                    this.log('info', 'Replacement transaction mined', { txHash: receipt.transactionHash, replaced: tx.hash });
+                }
+                if (minedTx === cancelTx) {
+                    throw new ClassifiedError(new Error(`Transaction ${tx.hash} was cancelled after ${bumps} fee bumps`), {
+                        category: 'fee',
+                        strategy: 'skip_task',
+                        reason: 'stuck transaction cancelled'
+                    });
+                }
+                if (receipt.status === 0) {
+                    const error = new Error(`Transaction ${receipt.transactionHash} reverted`);
+                    error.code = ethers.errors.CALL_EXCEPTION;
+                    error.receipt = receipt;
+                    throw error;
+                }
+                return receipt;
+            }
+
+            // The nonce was used by a transaction we did not send (e.g. from another client)
+            if (await this.isNonceConsumed(tx.nonce)) {
+                if (++foreignPolls >= FOREIGN_NONCE_POLLS) {
+                    throw new ClassifiedError(new Error(`Nonce ${tx.nonce} was used by another transaction`), {
+                        category: 'nonce',
+                        strategy: 'abort_wallet',
+                        reason: 'nonce used by another transaction'
+                    });
+                }
+            }
+
+            if (Date.now() >= deadline) {
+                if (cancelled) {
+                    throw new ClassifiedError(new Error(`Transaction ${tx.hash} is still pending after cancellation`), {
+                        category: 'fee',
+                        strategy: 'abort_wallet',
+                        reason: 'stuck transaction could not be cancelled'
+                    });
+                }
+
+                const cancel = bumps >= this.settings.max_bumps;
+                const replacement = await this.replace(latest, { task, cancel });
+                if (replacement) {
+                    sent.push(replacement);
+                    latest = replacement;
+                    if (cancel) cancelTx = replacement;
+                    if (onReplace) onReplace(replacement);
+                }
+                if (cancel) cancelled = true;
+                else bumps++;
+                deadline = Date.now() + this.settings.timeout_seconds * 1000;
+            }
+
+            await sleep(this.settings.poll_interval_seconds * 1000);
+        }
+    }
+
+    // Receipt of the first mined transaction among `sent`; RPC errors just skip this poll
+    async findMined(sent) {
+        for (const candidate of sent) {
+            try {
+                const receipt = await this.wallet.provider.getTransactionReceipt(candidate.hash);
+                if (receipt && receipt.blockNumber) return { receipt, tx: candidate };
+            } catch (error) {
+                this.log('debug', 'Failed to poll transaction receipt', { txHash: candidate.hash, error: error.message });
+            }
+        }
+        return null;
+    }
+
+    async isNonceConsumed(nonce) {
+        try {
+            return (await this.wallet.getTransactionCount('latest')) > nonce;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    // Re-send `previous` (or a zero-value self-transfer when cancelling) with the same
+    // nonce and bumped fees. Returns null when the replacement could not be sent.
+    async replace(previous, { task, cancel }) {
+        const fees = await this.fees.getReplacementFees(task, previous, this.settings.bump_percent).catch(() => null);
+        if (!fees) {
+            this.log('warn', 'Cannot bump fees of stuck transaction, fee cap reached', { txHash: previous.hash });
+            return null;
+        }
+
+        const request = cancel
+            ? { to: this.wallet.address, value: 0, gasLimit: 21000 }
+            : { to: previous.to || undefined, data: previous.data, value: previous.value, gasLimit: previous.gasLimit };
+
+        try {
+            const replacement = await this.wallet.sendTransaction({
+                ...request,
+                nonce: previous.nonce,
+                chainId: previous.chainId,
+                type: 2,
+                ...fees
+            });
+            this.log('warn', cancel ? 'Stuck transaction, sending cancellation' : 'Stuck transaction, speeding up', {
+                txHash: replacement.hash,
+                replaced: previous.hash,
+                nonce: previous.nonce,
+                maxFeePerGas: `${ethers.utils.formatUnits(fees.maxFeePerGas, 'gwei')} gwei`
+            });
+            return replacement;
+        } catch (error) {
+            // Usually means the previous transaction got mined in the meantime
+            this.log('warn', 'Failed to replace stuck transaction', { txHash: previous.hash, error: error.message });
+            return null;
+        }
+    }
+}
+
+module.exports = { TransactionSupervisor, SUPERVISOR_DEFAULTS };
@@ -0,0 +1,172 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const BUILTIN_TASKS = require('../tasks');
+
+// User-supplied task modules are loaded from here (override with CITREA_TASKS_DIR)
+const USER_TASKS_DIR = path.join(__dirname, '..', '..', 'tasks');
+
+// "fixed" runs the enabled tasks in the order of the "tasks" block in config.json,
+// "shuffled" in a random order per wallet
+const TASK_ORDERS = ['fixed', 'shuffled'];
+
+// A task module exports:
+//   name              - its key under "tasks" in config.json
+//   schema(s, opts)   - schema of its "settings", built with the config schema helpers `s`
+//   plan(ctx)         - the steps of one wallet: { key, iteration, budget, ...details }
+//   execute(bot, ctx) - run ctx.step; resolves to the receipt (or deployed contract),
+//                       or null when nothing was sent
+//   check(settings, { network })
+//                     - optional, problems with the settings on the selected network,
+//                       as "<path>: <problem>" strings relative to the settings
+//   enabledByDefault  - optional, whether the generated config enables it
+//   gas               - optional, gas units per transaction for the balance pre-flight
+//                       when preflight.gas has no entry for the task
+function checkTask(task, source) {
+    const problems = [];
+    if (!task || typeof task.name !== 'string' || !/^[a-z][a-z0-9_]*$/.test(task.name)) {
+        problems.push('a snake_case name');
+    }
+    ['schema', 'plan', 'execute'].forEach(key => {
+        if (!task || typeof task[key] !== 'function') problems.push(`${key}()`);
+    });
+    if (problems.length > 0) {
+        throw new Error(`Task module ${source} must export ${problems.join(', ')}`);
+    }
+}
+
+class TaskRegistry {
+    constructor(tasks = []) {
+        this.tasks = new Map();
+        tasks.forEach(task => this.register(task));
+    }
+
+    register(task, source = task && task.name) {
+        checkTask(task, source);
+        if (this.tasks.has(task.name)) {
+            throw new Error(`Task module ${source} redefines the "${task.name}" task`);
+        }
+        this.tasks.set(task.name, task);
+    }
+
+    get(name) {
+        const task = this.tasks.get(name);
+        if (!task) throw new Error(`Unknown task "${name}"`);
+        return task;
+    }
+
+    list() {
+        return [...this.tasks.values()];
+    }
+
+    // Problems the tasks find with their settings on `network` (see check())
+    checkSettings(config, { network }) {
+        return this.list()
+            .filter(task => task.check && config.tasks[task.name])
+            .flatMap(task => task.check(config.tasks[task.name].settings, { network })
+                .map(problem => `tasks.${task.name}.settings.${problem}`));
+    }
+
+    // Schema of the "tasks" block in config.json
+    schema(helpers, options) {
+        return helpers.object(Object.fromEntries(this.list().map(task => [task.name, helpers.object({
+            enabled: helpers.boolean({ default: Boolean(task.enabledByDefault) }),
+            settings: task.schema(helpers, options)
+        })])));
+    }
+}
+
+// The built-in tasks followed by the *.js modules in `dir`, sorted by file name
+function loadTasks({ dir = process.env.CITREA_TASKS_DIR || USER_TASKS_DIR } = {}) {
+    const registry = new TaskRegistry(BUILTIN_TASKS);
+    if (!fs.existsSync(dir)) return registry;
+
+    fs.readdirSync(dir)
+        .filter(file => file.endsWith('.js'))
+        .sort()
+        .forEach(file => {
+            const source = path.join(dir, file);
+            registry.register(require(source), source);
+        });
+    return registry;
+}
+
+// A number in [0, 1); derived from `seed` when one is given, so a resumed
+// cycle draws the same runs and order as the interrupted one
+function randomFraction(seed) {
+    if (seed === null || seed === undefined) return Math.random();
+    return parseInt(crypto.createHash('sha256').update(seed).digest('hex').slice(0, 12), 16) / 2 ** 48;
+}
+
+// Whole number between min and max, both included
+function drawRuns({ min, max }, seed = null) {
+    return min + Math.floor(randomFraction(seed) * (max - min + 1));
+}
+
+// Fisher-Yates shuffle into a new array
+function shuffle(items, seed = null) {
+    const result = [...items];
+    for (let i = result.length - 1; i > 0; i--) {
+        const j = Math.floor(randomFraction(seed === null ? null : `${seed}:${i}`) * (i + 1));
+        [result[i], result[j]] = [result[j], result[i]];
+    }
+    return result;
+}
+
+// Plan the enabled tasks of one wallet, in the order they run. Each task draws its
+// runs from settings.repeat_times (once when it has none) and gets a context with
+// `ctx`, its name, settings and runs. Steps without a budget are one transaction
+// of the task that sends no value.
+function planTasks(registry, config, ctx = {}, { seed = null } = {}) {
+    const enabled = Object.keys(config.tasks).filter(name => config.tasks[name].enabled);
+    const order = config.task_order === 'shuffled' ? shuffle(enabled, seed === null ? null : `${seed}:order`) : enabled;
+
+    return order.map(name => {
+        const task = registry.get(name);
+        const settings = config.tasks[name].settings;
+        const runs = settings.repeat_times ? drawRuns(settings.repeat_times, seed === null ? null : `${seed}:${name}`) : 1;
+        const taskCtx = { ...ctx, task: name, settings, runs };
+
+        const steps = task.plan(taskCtx).map(step => ({
+            ...step,
+            budget: { name, task: name, txs: 1, value: 0, gas: task.gas, ...(step.budget || {}) }
+        }));
+        return { task, ctx: taskCtx, steps };
+    });
+}
+
+// Pre-flight entries ({ name, task, runs, txs, value, gas }): the steps counted per budget name
+function getBudget(plans) {
+    const entries = new Map();
+    plans.forEach(({ steps }) => steps.forEach(({ budget }) => {
+        const entry = entries.get(budget.name);
+        if (entry) entry.runs++;
+        else entries.set(budget.name, { ...budget, runs: 1 });
+    }));
+    return [...entries.values()];
+}
+
+// Keep the first `runs[name]` steps of each budget name
+function limitSteps(plans, runs) {
+    const kept = {};
+    return plans.map(plan => ({
+        ...plan,
+        steps: plan.steps.filter(({ budget }) => {
+            kept[budget.name] = (kept[budget.name] || 0) + 1;
+            return kept[budget.name] <= runs[budget.name];
+        })
+    }));
+}
+
+module.exports = {
+    BUILTIN_TASKS,
+    USER_TASKS_DIR,
+    TASK_ORDERS,
+    TaskRegistry,
+    loadTasks,
+    drawRuns,
+    shuffle,
+    planTasks,
+    getBudget,
+    limitSteps
+};
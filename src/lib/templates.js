@@ -0,0 +1,217 @@
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+const { CONTRACTS_DIR } = require('./artifacts');
+const { formatAmount } = require('./tokens');
+
+// Templates are discovered from manifests named <ContractType>.template.json,
+// anywhere under src/contracts. A manifest has:
+//   contract         - name of the contract to deploy
+//   source           - Solidity file declaring it, relative to the manifest (it may import others)
+//   constructor_args - one { name, generator, ...options } entry per constructor parameter
+const TEMPLATE_SUFFIX = '.template.json';
+
+// Constructor argument generators:
+//   random_name      - a random token-style name, e.g. "Pepe Verse"
+//   random_symbol    - a ticker derived from the parameter named by `from`, or from a random name
+//   random_range     - a number between `min` and `max` (or the range in the contract_deploy
+//                      setting named by `setting`), with `decimals` places, scaled by 10^`units`
+//   wallet_address   - the address of the deploying wallet
+//   deployed_address - the latest contract of the `template` type the wallet deployed
+const GENERATORS = ['random_name', 'random_symbol', 'random_range', 'wallet_address', 'deployed_address'];
+
+const TOKEN_PREFIXES = [
+    'Nakama', 'Meme', 'Pepe', 'Doge', 'Inu', 'Moon', 'Star', 'Cyber',
+    'Meta', 'Pixel', 'Crypto', 'Chain', 'Web3', 'Defi', 'Space'
+];
+
+const TOKEN_SUFFIXES = [
+    'Me', 'Verse', 'World', 'X', 'AI', 'Net', 'Hub', 'Lab',
+    'DAO', 'Fi', 'Swap', 'Base', 'Zone', 'Port', 'Grid'
+];
+
+// A template needs a contract the wallet has not deployed (yet)
+class TemplateDependencyError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'TemplateDependencyError';
+    }
+}
+
+function generateTokenName() {
+    const prefix = TOKEN_PREFIXES[Math.floor(Math.random() * TOKEN_PREFIXES.length)];
+    const suffix = TOKEN_SUFFIXES[Math.floor(Math.random() * TOKEN_SUFFIXES.length)];
+    return `${prefix} ${suffix}`;
+}
+
+function generateTokenSymbol(name) {
+    const words = name.split(' ');
+    if (words.length === 1) {
+        return name.substring(0, Math.min(4, name.length)).toUpperCase();
+    }
+    let symbol = words.map(word => word[0]).join('');
+    if (symbol.length < 3) {
+        const lastWord = words[words.length - 1];
+        symbol += lastWord.substring(1, 4 - symbol.length);
+    }
+    return symbol.toUpperCase();
+}
+
+const isNumber = value => typeof value === 'number' && Number.isFinite(value);
+const isWholeNumber = (value, max) => Number.isInteger(value) && value >= 0 && value <= max;
+
+// Problems with one constructor parameter; `earlier` are the names before it
+function checkParameter(param, earlier) {
+    if (!param || typeof param.name !== 'string' || !param.name) return ['every constructor parameter needs a name'];
+    const label = `constructor parameter "${param.name}"`;
+    if (earlier.includes(param.name)) return [`${label} is declared twice`];
+    if (!GENERATORS.includes(param.generator)) {
+        return [`${label} needs a generator, one of ${GENERATORS.join(', ')}`];
+    }
+
+    const problems = [];
+    if (param.generator === 'random_symbol' && param.from !== undefined && !earlier.includes(param.from)) {
+        problems.push(`${label}: "from" has to name an earlier parameter`);
+    }
+    if (param.generator === 'random_range') {
+        if (param.setting !== undefined) {
+            if (typeof param.setting !== 'string') problems.push(`${label}: "setting" has to be a setting name`);
+        } else if (!isNumber(param.min) || !isNumber(param.max) || param.min > param.max) {
+            problems.push(`${label}: needs "min" <= "max", or a "setting"`);
+        }
+        const decimals = param.decimals ?? 0;
+        const units = param.units ?? 0;
+        if (!isWholeNumber(units, 77)) problems.push(`${label}: "units" has to be a whole number up to 77`);
+        if (!isWholeNumber(decimals, units)) problems.push(`${label}: "decimals" has to be a whole number up to "units"`);
+    }
+    if (param.generator === 'deployed_address' && typeof param.template !== 'string') {
+        problems.push(`${label}: "template" has to name a contract type`);
+    }
+    return problems;
+}
+
+function readManifest(file, dir) {
+    let manifest;
+    try {
+        manifest = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        throw new Error(`Contract template ${file} is not valid JSON: ${error.message}`);
+    }
+
+    const problems = [];
+    if (!manifest || typeof manifest.contract !== 'string' || !manifest.contract) problems.push('"contract" is required');
+    if (!manifest || typeof manifest.source !== 'string' || !manifest.source.endsWith('.sol')) {
+        problems.push('"source" has to name a .sol file');
+    } else if (!fs.existsSync(path.join(path.dirname(file), manifest.source))) {
+        problems.push(`source ${manifest.source} not found`);
+    }
+    const params = (manifest && manifest.constructor_args) || [];
+    if (!Array.isArray(params)) problems.push('"constructor_args" has to be a list of parameters');
+    else params.forEach((param, i) => problems.push(...checkParameter(param, params.slice(0, i).map(p => p && p.name))));
+
+    if (problems.length > 0) {
+        throw new Error(`Contract template ${file}: ${problems.join(', ')}`);
+    }
+    return {
+        type: path.basename(file, TEMPLATE_SUFFIX),
+        name: manifest.contract,
+        // Source names are relative to the contracts directory, as solc sees them
+        source: path.relative(dir, path.join(path.dirname(file), manifest.source)).split(path.sep).join('/'),
+        params
+    };
+}
+
+function findManifests(dir) {
+    if (!fs.existsSync(dir)) return [];
+    return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+        const file = path.join(dir, entry.name);
+        if (entry.isDirectory()) return findManifests(file);
+        return entry.name.endsWith(TEMPLATE_SUFFIX) ? [file] : [];
+    });
+}
+
+// Contract templates keyed by contract type (the manifest name), sorted by type
+function loadTemplates({ dir = CONTRACTS_DIR } = {}) {
+    const templates = {};
+    findManifests(dir)
+        .map(file => readManifest(file, dir))
+        .sort((a, b) => a.type.localeCompare(b.type))
+        .forEach(template => {
+            if (templates[template.type]) {
+                throw new Error(`Contract type "${template.type}" has more than one template`);
+            }
+            templates[template.type] = template;
+        });
+
+    for (const template of Object.values(templates)) {
+        const missing = template.params.find(param => param.generator === 'deployed_address' && !templates[param.template]);
+        if (missing) {
+            throw new Error(`Contract template ${template.type}: parameter "${missing.name}" needs unknown contract type "${missing.template}"`);
+        }
+    }
+    return templates;
+}
+
+// Constructor arguments of `template`. `settings` are the contract_deploy settings,
+// `address` the deploying wallet and `deployed(type)` lists the wallet's contracts
+// of a type, oldest first. Returns { args, values } where `values` maps each
+// parameter name to a readable value for the logs.
+function generateConstructorArgs(template, { settings = {}, address = null, deployed = () => [] } = {}) {
+    const values = {};
+    const args = template.params.map(param => {
+        let value;
+        let shown;
+        switch (param.generator) {
+            case 'random_name':
+                value = generateTokenName();
+                break;
+
+            case 'random_symbol':
+                value = generateTokenSymbol(param.from ? values[param.from] : generateTokenName());
+                break;
+
+            case 'random_range': {
+                const range = param.setting ? settings[param.setting] : param;
+                if (!range || !isNumber(range.min) || !isNumber(range.max)) {
+                    throw new Error(`Contract template ${template.type}: setting "${param.setting}" is not a range`);
+                }
+                const decimals = param.decimals ?? 0;
+                const multiplier = Math.pow(10, decimals);
+                shown = Math.floor((Math.random() * (range.max - range.min) + range.min) * multiplier) / multiplier;
+                value = ethers.utils.parseUnits(formatAmount(shown, decimals), param.units ?? 0);
+                break;
+            }
+
+            case 'wallet_address':
+            case 'deployed_address': {
+                if (!address) {
+                    throw new Error(`Contract template ${template.type}: parameter "${param.name}" needs the deploying wallet`);
+                }
+                if (param.generator === 'wallet_address') {
+                    value = address;
+                    break;
+                }
+                const contracts = deployed(param.template);
+                if (contracts.length === 0) {
+                    throw new TemplateDependencyError(`${template.type} needs a ${param.template} contract deployed by this wallet ` +
+                        `for its "${param.name}" parameter, deploy one first`);
+                }
+                value = contracts[contracts.length - 1].address;
+                break;
+            }
+        }
+        values[param.name] = shown ?? value;
+        return value;
+    });
+    return { args, values };
+}
+
+module.exports = {
+    TEMPLATE_SUFFIX,
+    GENERATORS,
+    TemplateDependencyError,
+    generateTokenName,
+    generateTokenSymbol,
+    loadTemplates,
+    generateConstructorArgs
+};
@@ -0,0 +1,87 @@
+const { ethers } = require('ethers');
+
+const ERC20_ABI = [
+    'function symbol() view returns (string)',
+    'function decimals() view returns (uint8)',
+    'function balanceOf(address owner) view returns (uint256)',
+    'function allowance(address owner, address spender) view returns (uint256)',
+    'function approve(address spender, uint256 amount) returns (bool)'
+];
+
+// The wrapped native coin; deposit() wraps the CBTC sent along, withdraw() unwraps
+const WCBTC_ABI = [
+    ...ERC20_ABI,
+    'function deposit() payable',
+    'function withdraw(uint256 amount)'
+];
+
+// The native coin; the router swaps it through the wrapped token (WCBTC)
+const NATIVE_SYMBOL = 'CBTC';
+
+// Tokens every network profile has to define
+const REQUIRED_TOKENS = ['WCBTC', 'USDC'];
+
+// Amount as a decimal string with at most `decimals` fraction digits, for parseUnits
+function formatAmount(amount, decimals) {
+    return Number(amount).toLocaleString('en-US', { useGrouping: false, maximumFractionDigits: Math.min(decimals, 20) });
+}
+
+// Tokens of a network profile, keyed by the names under "tokens" in config.json.
+// Symbol and decimals are read from the token contracts once per address.
+class TokenRegistry {
+    constructor(network) {
+        this.network = network;
+        this.metadata = new Map();
+    }
+
+    // Address of a configured token name (any case), CBTC or a token address
+    resolve(ref) {
+        if (ethers.utils.isAddress(ref)) return { native: false, address: ethers.utils.getAddress(ref) };
+        if (String(ref).toUpperCase() === NATIVE_SYMBOL) return { native: true, address: this.network.WCBTC };
+
+        const tokens = this.network.tokens;
+        const name = Object.keys(tokens).find(key => key.toLowerCase() === String(ref).toLowerCase());
+        if (!name) {
+            throw new Error(`Unknown token "${ref}" on network "${this.network.name}", expected ${NATIVE_SYMBOL}, ` +
+                `${Object.keys(tokens).join(', ')} or a token address`);
+        }
+        return { native: false, address: ethers.utils.getAddress(tokens[name]) };
+    }
+
+    // { native, address, symbol, decimals } of `ref`
+    async get(ref, provider) {
+        const { native, address } = this.resolve(ref);
+        if (native) return { native, address, symbol: NATIVE_SYMBOL, decimals: 18 };
+
+        const key = address.toLowerCase();
+        if (!this.metadata.has(key)) {
+            const contract = new ethers.Contract(address, ERC20_ABI, provider);
+            const lookup = Promise.all([contract.symbol(), contract.decimals()])
+                .then(([symbol, decimals]) => ({ native, address, symbol, decimals: Number(decimals) }));
+            // Failed lookups are not cached, so the next call asks the chain again
+            lookup.catch(() => this.metadata.delete(key));
+            this.metadata.set(key, lookup);
+        }
+        return this.metadata.get(key);
+    }
+
+    // Router path for a list of token refs: CBTC can only be the first or last
+    // token (it is swapped through WCBTC) and a token cannot follow itself
+    resolvePath(refs) {
+        if (refs.length < 2) throw new Error('A swap path needs at least two tokens');
+
+        const tokens = refs.map(ref => this.resolve(ref));
+        if (tokens[0].native && tokens[tokens.length - 1].native) {
+            throw new Error(`A swap path cannot start and end with ${NATIVE_SYMBOL}`);
+        }
+        if (tokens.slice(1, -1).some(token => token.native)) {
+            throw new Error(`${NATIVE_SYMBOL} can only be the first or last token of a swap path, use WCBTC in between`);
+        }
+        tokens.slice(1).forEach((token, i) => {
+            if (token.address === tokens[i].address) throw new Error(`Swap path repeats ${refs[i + 1]}`);
+        });
+        return tokens;
+    }
+}
+
+module.exports = { ERC20_ABI, WCBTC_ABI, NATIVE_SYMBOL, REQUIRED_TOKENS, formatAmount, TokenRegistry };
@@ -0,0 +1,118 @@
+const { ethers } = require('ethers');
+const shutdown = require('./shutdown');
+
+// Default explorer verification settings (overridable via the "verification" block in config.json)
+//   submit_attempts       - submissions tried while the explorer has not indexed the contract yet
+//   poll_interval_seconds - delay between submissions and between status checks
+//   timeout_seconds       - how long to wait for a result before recording it as pending
+const VERIFICATION_DEFAULTS = {
+    enabled: false,
+    submit_attempts: 3,
+    poll_interval_seconds: 5,
+    timeout_seconds: 120
+};
+
+// "0.8.20+commit.a1b79de6.Emscripten.clang" -> "v0.8.20+commit.a1b79de6"
+function formatCompilerVersion(version) {
+    return `v${version.replace(/^v/, '').replace(/\.Emscripten.*$/, '')}`;
+}
+
+// Map an explorer result message onto verified / pending / failed
+function parseResult(text) {
+    if (/^pass|already verified/i.test(text)) return 'verified';
+    if (/pending|in queue|in progress/i.test(text)) return 'pending';
+    return 'failed';
+}
+
+// Submits contract sources to a Blockscout explorer through its Etherscan-compatible
+// API (`<explorer>/api`) and polls for the result. `verify` never throws: the
+// outcome is returned as { status, guid, message } with status verified, pending,
+// failed or error (the submission itself was rejected or the explorer unreachable).
+class ExplorerVerifier {
+    constructor(apiUrl, settings = {}, { logger = console } = {}) {
+        this.apiUrl = apiUrl.replace(/\/+$/, '');
+        this.settings = { ...VERIFICATION_DEFAULTS, ...settings };
+        this.logger = logger;
+    }
+
+    async request(params, { post = false } = {}) {
+        const query = new URLSearchParams(params).toString();
+        const connection = { url: post ? this.apiUrl : `${this.apiUrl}?${query}`, timeout: 30000 };
+        if (!post) return ethers.utils.fetchJson(connection);
+
+        connection.headers = { 'content-type': 'application/x-www-form-urlencoded' };
+        return ethers.utils.fetchJson(connection, query);
+    }
+
+    // Submit the standard JSON input; returns the explorer's GUID for status checks
+    async submit({ address, artifact, constructorArgs = '0x' }) {
+        const response = await this.request({
+            module: 'contract',
+            action: 'verifysourcecode',
+            codeformat: 'solidity-standard-json-input',
+            contractaddress: address,
+            contractname: `${artifact.sourceName}:${artifact.contractName}`,
+            compilerversion: formatCompilerVersion(artifact.compilerVersion),
+            sourceCode: JSON.stringify(artifact.solcInput),
+            // Etherscan's spelling, kept by Blockscout for compatibility
+            constructorArguements: constructorArgs.replace(/^0x/, '')
+        }, { post: true });
+
+        const message = String(response.result || response.message || '');
+        if (String(response.status) === '1') return { guid: message };
+        if (/already verified/i.test(`${response.message} ${response.result}`)) return { guid: null, verified: true };
+        throw new Error(message || 'Verification submission rejected');
+    }
+
+    async checkStatus(guid) {
+        const response = await this.request({ module: 'contract', action: 'checkverifystatus', guid });
+        const message = String(response.result || response.message || '');
+        return { status: parseResult(message), message };
+    }
+
+    async verify({ address, artifact, constructorArgs }) {
+        if (!artifact.solcInput) {
+            return { status: 'error', guid: null, message: `Artifact of ${artifact.contractName} has no standard JSON input, run "npm run compile"` };
+        }
+
+        const interval = this.settings.poll_interval_seconds * 1000;
+        const deadline = Date.now() + this.settings.timeout_seconds * 1000;
+
+        // A contract deployed moments ago may not be indexed by the explorer yet
+        let submitted;
+        for (let attempt = 1; !submitted; attempt++) {
+            try {
+                submitted = await this.submit({ address, artifact, constructorArgs });
+            } catch (error) {
+                if (attempt >= this.settings.submit_attempts || shutdown.isShuttingDown()) {
+                    return { status: 'error', guid: null, message: error.message };
+                }
+                this.logger.warn(`Verification submission failed, retrying (${attempt}/${this.settings.submit_attempts})`, {
+                    address,
+                    error: error.message
+                });
+                await shutdown.sleep(interval);
+            }
+        }
+        if (submitted.verified) return { status: 'verified', guid: null, message: 'Already verified' };
+
+        return this.poll(submitted.guid, { deadline, interval });
+    }
+
+    // Check a submission until it leaves the queue, the timeout passes or a shutdown is requested
+    async poll(guid, { deadline = Date.now() + this.settings.timeout_seconds * 1000, interval = this.settings.poll_interval_seconds * 1000 } = {}) {
+        let result = { status: 'pending', message: 'Pending in queue' };
+        while (!shutdown.isShuttingDown()) {
+            await shutdown.sleep(interval);
+            try {
+                result = await this.checkStatus(guid);
+            } catch (error) {
+                this.logger.warn('Verification status check failed', { guid, error: error.message });
+            }
+            if (result.status !== 'pending' || Date.now() >= deadline) break;
+        }
+        return { ...result, guid };
+    }
+}
+
+module.exports = { VERIFICATION_DEFAULTS, ExplorerVerifier, formatCompilerVersion };
@@ -0,0 +1,151 @@
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { ethers } = require('ethers');
+const { addSecret } = require('./secrets');
+
+// Default wallet source settings (overridable via the "wallets" block in config.json)
+//   pk_file  - plaintext private keys, one per line
+//   keystore - Ethereum JSON keystores (one file per wallet) sharing a password
+//   mnemonic - `count` accounts derived from a BIP-39 mnemonic along `hd_path`
+const WALLET_DEFAULTS = {
+    source: 'pk_file',
+    pk_file: 'src/file/pk.txt',
+    keystore_dir: 'src/file/keystores',
+    password_env: 'CITREA_KEYSTORE_PASSWORD',
+    mnemonic_file: 'src/file/mnemonic.txt',
+    mnemonic_env: 'CITREA_MNEMONIC',
+    mnemonic_passphrase_env: 'CITREA_MNEMONIC_PASSPHRASE',
+    hd_path: "m/44'/60'/0'/0",
+    start_index: 0,
+    count: 1
+};
+
+// Read a line from the terminal without echoing it
+function promptHidden(question) {
+    if (!process.stdin.isTTY) {
+        return Promise.reject(new Error('No terminal available to prompt for the password'));
+    }
+
+    return new Promise((resolve) => {
+        const rl = readline.createInterface({ input: process.stdin, output: process.stdout, terminal: true });
+        rl._writeToOutput = (text) => {
+            if (text.startsWith(question)) rl.output.write(question);
+        };
+        rl.question(question, (answer) => {
+            rl.close();
+            process.stdout.write('\n');
+            resolve(answer);
+        });
+    });
+}
+
+// Password from the configured env var, or prompted for on the terminal
+async function getPassword(envName, question = 'Keystore password: ') {
+    const password = process.env[envName] || await promptHidden(question);
+    if (!password) throw new Error('Keystore password is empty');
+    addSecret(password);
+    return password;
+}
+
+// Build a wallet from a private key without echoing the key in errors
+function walletFromPrivateKey(privateKey, label) {
+    addSecret(privateKey);
+    try {
+        const wallet = new ethers.Wallet(privateKey);
+        addSecret(wallet.privateKey);
+        return wallet;
+    } catch (error) {
+        throw new Error(`Invalid private key (${label})`);
+    }
+}
+
+function readPrivateKeys(file) {
+    if (!fs.existsSync(file)) {
+        throw new Error(`Private key file not found: ${file}`);
+    }
+
+    return fs.readFileSync(file, 'utf8')
+        .split('\n')
+        .map((line, index) => ({ key: line.trim(), line: index + 1 }))
+        .filter(({ key }) => key && !key.startsWith('#'));
+}
+
+function loadFromPkFile(settings, baseDir) {
+    const file = path.resolve(baseDir, settings.pk_file);
+    return readPrivateKeys(file).map(({ key, line }) => walletFromPrivateKey(key, `line ${line} of ${settings.pk_file}`));
+}
+
+async function loadFromKeystores(settings, baseDir) {
+    const dir = path.resolve(baseDir, settings.keystore_dir);
+    if (!fs.existsSync(dir)) {
+        throw new Error(`Keystore directory not found: ${dir}`);
+    }
+
+    const files = fs.readdirSync(dir).filter(file => file.endsWith('.json')).sort();
+    if (files.length === 0) return [];
+
+    const password = await getPassword(settings.password_env);
+    const wallets = [];
+    for (const file of files) {
+        try {
+            const wallet = await ethers.Wallet.fromEncryptedJson(fs.readFileSync(path.join(dir, file), 'utf8'), password);
+            addSecret(wallet.privateKey);
+            wallets.push(wallet);
+        } catch (error) {
+            throw new Error(`Failed to decrypt keystore ${file}, wrong password or corrupt file`);
+        }
+    }
+    return wallets;
+}
+
+function loadFromMnemonic(settings, baseDir) {
+    const file = path.resolve(baseDir, settings.mnemonic_file);
+    const mnemonic = (process.env[settings.mnemonic_env] || (fs.existsSync(file) ? fs.readFileSync(file, 'utf8') : ''))
+        .trim()
+        .split(/\s+/)
+        .join(' ');
+    if (!mnemonic) {
+        throw new Error(`No mnemonic found, set ${settings.mnemonic_env} or create ${settings.mnemonic_file}`);
+    }
+    addSecret(mnemonic);
+    if (!ethers.utils.isValidMnemonic(mnemonic)) {
+        throw new Error('Invalid BIP-39 mnemonic');
+    }
+
+    const passphrase = process.env[settings.mnemonic_passphrase_env] || '';
+    addSecret(passphrase);
+    const root = ethers.utils.HDNode.fromMnemonic(mnemonic, passphrase);
+
+    return Array.from({ length: settings.count }, (_, i) => {
+        const node = root.derivePath(`${settings.hd_path}/${settings.start_index + i}`);
+        addSecret(node.privateKey);
+        return new ethers.Wallet(node.privateKey);
+    });
+}
+
+// Load the wallets to process from the configured source. Every private key,
+// mnemonic and password read here is registered for log redaction.
+async function loadWallets(settings = {}, { baseDir = process.cwd() } = {}) {
+    const merged = { ...WALLET_DEFAULTS, ...settings };
+
+    switch (merged.source) {
+        case 'pk_file':
+            return loadFromPkFile(merged, baseDir);
+        case 'keystore':
+            return loadFromKeystores(merged, baseDir);
+        case 'mnemonic':
+            return loadFromMnemonic(merged, baseDir);
+        default:
+            throw new Error(`Unknown wallet source "${merged.source}", expected pk_file, keystore or mnemonic`);
+    }
+}
+
+module.exports = {
+    WALLET_DEFAULTS,
+    promptHidden,
+    getPassword,
+    readPrivateKeys,
+    walletFromPrivateKey,
+    loadWallets
+};
@@ -0,0 +1,53 @@
+const chalk = require('chalk');
+const solc = require('solc');
+const {
+    loadArtifactsBySource,
+    isArtifactFresh,
+    compileSource,
+    writeArtifact
+} = require('../lib/artifacts');
+const { loadTemplates } = require('../lib/templates');
+
+function printDiagnostic(diagnostic) {
+    const color = diagnostic.severity === 'error' ? chalk.red : chalk.yellow;
+    console.log(color(diagnostic.formattedMessage || diagnostic.message));
+}
+
+function main() {
+    const compilerVersion = solc.version();
+    // The sources of the contract templates; their imports are compiled along with them
+    const sources = [...new Set(Object.values(loadTemplates()).map(template => template.source))].sort();
+    const cached = loadArtifactsBySource();
+    let failed = 0;
+
+    console.log(chalk.gray(`Compiling ${sources.length} sources with solc ${compilerVersion}`));
+
+    for (const sourceName of sources) {
+        const existing = cached[sourceName] || [];
+        if (existing.length > 0 && existing.every(artifact => isArtifactFresh(artifact, compilerVersion))) {
+            console.log(`${chalk.gray('cached  ')} ${sourceName}`);
+            continue;
+        }
+
+        const { artifacts, errors, warnings } = compileSource(solc, sourceName);
+        warnings.forEach(printDiagnostic);
+        errors.forEach(printDiagnostic);
+
+        if (errors.length > 0) {
+            failed++;
+            console.log(`${chalk.red('failed  ')} ${sourceName} (${errors.length} errors, ${warnings.length} warnings)`);
+            continue;
+        }
+
+        artifacts.forEach(writeArtifact);
+        console.log(`${chalk.green('compiled')} ${sourceName} -> ${artifacts.map(a => a.contractName).join(', ')}` +
+            (warnings.length > 0 ? chalk.yellow(` (${warnings.length} warnings)`) : ''));
+    }
+
+    if (failed > 0) {
+        console.log(chalk.red(`Compilation failed for ${failed} source(s)`));
+        process.exit(1);
+    }
+}
+
+main();
@@ -0,0 +1,70 @@
+const fs = require('fs');
+const path = require('path');
+const chalk = require('chalk');
+const {
+    WALLET_DEFAULTS,
+    promptHidden,
+    readPrivateKeys,
+    walletFromPrivateKey
+} = require('../lib/wallets');
+
+// Converts the plaintext private keys of pk.txt into encrypted JSON keystores.
+// Usage: node src/scripts/encrypt-keys.js [pk-file] [keystore-dir]
+const ROOT_DIR = path.join(__dirname, '..', '..');
+const CONFIG_PATH = path.join(ROOT_DIR, 'src', 'config', 'config.json');
+
+function getSettings() {
+    const config = fs.existsSync(CONFIG_PATH) ? JSON.parse(fs.readFileSync(CONFIG_PATH, 'utf8')) : {};
+    return { ...WALLET_DEFAULTS, ...(config.wallets || {}) };
+}
+
+async function getNewPassword(envName) {
+    if (process.env[envName]) return process.env[envName];
+
+    const password = await promptHidden('New keystore password: ');
+    const confirmation = await promptHidden('Repeat password: ');
+    if (password !== confirmation) throw new Error('Passwords do not match');
+    if (password.length < 8) throw new Error('Password must be at least 8 characters');
+    return password;
+}
+
+async function main() {
+    const settings = getSettings();
+    const pkFile = path.resolve(ROOT_DIR, process.argv[2] || settings.pk_file);
+    const keystoreDir = path.resolve(ROOT_DIR, process.argv[3] || settings.keystore_dir);
+
+    const keys = readPrivateKeys(pkFile);
+    if (keys.length === 0) {
+        console.log(chalk.yellow(`No private keys found in ${pkFile}`));
+        return;
+    }
+
+    const wallets = keys.map(({ key, line }) => walletFromPrivateKey(key, `line ${line} of ${path.basename(pkFile)}`));
+    const password = await getNewPassword(settings.password_env);
+
+    fs.mkdirSync(keystoreDir, { recursive: true });
+    const existing = fs.readdirSync(keystoreDir);
+    let written = 0;
+
+    for (const [index, wallet] of wallets.entries()) {
+        if (existing.some(file => file.toLowerCase().endsWith(`${wallet.address.toLowerCase()}.json`))) {
+            console.log(`${chalk.gray('exists   ')} ${wallet.address}`);
+            continue;
+        }
+
+        const keystore = await wallet.encrypt(password);
+        // The index prefix keeps the wallet order of pk.txt
+        const file = path.join(keystoreDir, `wallet-${String(index + 1).padStart(3, '0')}-${wallet.address}.json`);
+        fs.writeFileSync(file, keystore, { mode: 0o600 });
+        written++;
+        console.log(`${chalk.green('encrypted')} ${wallet.address}`);
+    }
+
+    console.log(chalk.gray(`${written} keystore(s) written to ${keystoreDir}`));
+    console.log(chalk.yellow(`Set "wallets.source" to "keystore" in config.json, then delete or empty ${pkFile}`));
+}
+
+main().catch((error) => {
+    console.log(chalk.red(error.message));
+    process.exit(1);
+});
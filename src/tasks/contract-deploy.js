@@ -0,0 +1,50 @@
+const { TemplateDependencyError } = require('../lib/templates');
+
+// Deploy each configured contract template, repeat_times rounds
+module.exports = {
+    name: 'contract_deploy',
+
+    schema: ({ object, array, oneOf, range, repeatTimes }, { contractTypes }) => object({
+        repeat_times: repeatTimes(1, 1),
+        contract_types: array(oneOf(contractTypes), { default: contractTypes }),
+        token_supply: range({ min: 1000, max: 1000000 })
+    }),
+
+    plan({ settings, runs }) {
+        const steps = [];
+        for (let i = 0; i < runs; i++) {
+            settings.contract_types.forEach(contractType => steps.push({
+                key: `contract_deploy:${i}:${contractType}`,
+                iteration: i,
+                contractType
+            }));
+        }
+        return steps;
+    },
+
+    // Templates whose constructor needs a contract the wallet has not deployed are skipped
+    async execute(bot, { settings, step, registry, walletIndex, dryRun, logger, getConstructorArgs }) {
+        let constructorArgs;
+        try {
+            constructorArgs = getConstructorArgs(step.contractType, settings, { address: bot.wallet.address, registry });
+        } catch (error) {
+            if (!(error instanceof TemplateDependencyError)) throw error;
+            logger.warn('Contract deployment skipped', { walletIndex, contractType: step.contractType, reason: error.message });
+            return null;
+        }
+
+        logger.info('Deploying contract', {
+            walletIndex,
+            contractType: step.contractType
+        });
+
+        const deployed = await bot.deployContract(step.contractType, constructorArgs);
+        if (!dryRun) {
+            logger.info('Contract deployed', {
+                walletIndex,
+                address: deployed.address
+            });
+        }
+        return deployed;
+    }
+};
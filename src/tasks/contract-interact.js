@@ -0,0 +1,45 @@
+// Call a random contract the wallet deployed earlier (see the contract registry)
+module.exports = {
+    name: 'contract_interact',
+
+    schema: ({ object, array, oneOf, range, repeatTimes }, { contractTypes }) => object({
+        repeat_times: repeatTimes(2, 4),
+        contract_types: array(oneOf(contractTypes), { default: contractTypes }),
+        token_amount: range({ min: 1, max: 10 })
+    }),
+
+    // Only runs with a registry to pick contracts from
+    plan: ({ runs, registry }) => (registry
+        ? Array.from({ length: runs }, (_, i) => ({ key: `contract_interact:${i}`, iteration: i }))
+        : []),
+
+    // Contracts are looked up when the step runs, so ones deployed earlier in
+    // the same cycle are included
+    async execute(bot, { settings, step, runs, registry, network, walletIndex, dryRun, logger }) {
+        // Templates without interactions are only deployed
+        const deployed = registry.list(network.chainId, bot.wallet.address, settings.contract_types)
+            .filter(entry => bot.canInteract(entry));
+        if (deployed.length === 0) {
+            logger.info('No deployed contracts to interact with', { walletIndex });
+            return null;
+        }
+        const tokens = registry.list(network.chainId, bot.wallet.address, ['ERC20']);
+        const target = deployed[Math.floor(Math.random() * deployed.length)];
+
+        logger.info('Interacting with contract', {
+            walletIndex,
+            contractType: target.type,
+            address: target.address,
+            run: `${step.iteration + 1}/${runs}`
+        });
+
+        const receipt = await bot.interactWithContract(target, { ...settings, tokens });
+        if (receipt && !dryRun) {
+            logger.info('Interaction successful', {
+                walletIndex,
+                txHash: receipt.transactionHash
+            });
+        }
+        return receipt;
+    }
+};
@@ -0,0 +1,9 @@
+// Built-in tasks, in their default order
+module.exports = [
+    require('./self-transfer'),
+    require('./contract-deploy'),
+    require('./contract-interact'),
+    require('./swap'),
+    require('./wrap'),
+    require('./unwrap')
+];
@@ -0,0 +1,29 @@
+// Send a random amount of CBTC from the wallet to itself
+module.exports = {
+    name: 'self_transfer',
+
+    schema: ({ object, range, repeatTimes, decimals }) => object({
+        amount: range({ min: 0.00001, max: 0.00002, extra: { decimals: decimals(6) } }),
+        repeat_times: repeatTimes(3, 10)
+    }),
+
+    plan: ({ runs }) => Array.from({ length: runs }, (_, i) => ({ key: `self_transfer:${i}`, iteration: i })),
+
+    async execute(bot, { settings, walletIndex, dryRun, logger, random }) {
+        const amount = random(settings.amount.min, settings.amount.max, settings.amount.decimals);
+
+        logger.info('Initiating transfer', {
+            walletIndex,
+            amount: `${amount} CBTC`
+        });
+
+        const receipt = await bot.selfTransfer(amount);
+        if (receipt && !dryRun) {
+            logger.info('Transfer successful', {
+                walletIndex,
+                txHash: receipt.transactionHash
+            });
+        }
+        return receipt;
+    }
+};
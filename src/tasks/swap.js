@@ -0,0 +1,123 @@
+const { ethers } = require('ethers');
+const { NATIVE_SYMBOL, TokenRegistry, formatAmount } = require('../lib/tokens');
+
+// Defaults of each entry in settings.routes; `amount` is in units of the first token
+const ROUTE_DEFAULTS = {
+    enabled: true,
+    amount: { min: 0.0001, max: 0.0002 },
+    decimals: 6
+};
+
+const DEFAULT_ROUTES = [
+    { name: 'cbtc_to_usdc', from: 'CBTC', to: 'USDC', ...ROUTE_DEFAULTS },
+    { name: 'usdc_to_cbtc', from: 'USDC', to: 'CBTC', ...ROUTE_DEFAULTS }
+];
+
+// Tokens a route swaps through: its `path`, or `from` and `to` as a direct pair
+const routePath = route => route.path || [route.from, route.to];
+
+// Routes are named after their tokens unless they set a name, e.g. usdc_to_cbtc
+const routeName = route => route.name || routePath(route).map(token => String(token).toLowerCase()).join('_to_');
+
+const resolveRoute = route => ({ ...ROUTE_DEFAULTS, ...route, path: routePath(route), name: routeName(route) });
+
+function checkRoute(route) {
+    if (route.path && (route.from || route.to)) return 'use either path or from and to';
+    if (!route.path && !(route.from && route.to)) return 'from and to (or a path) are required';
+    return null;
+}
+
+// Settings of the two fixed swaps that predate routes
+const legacyRoute = (from, to) =>
+    `no longer supported, move it into routes as { "from": "${from}", "to": "${to}" } with the same enabled, amount and decimals`;
+
+const LEGACY_ROUTES = {
+    cbtc_to_usdc: legacyRoute('CBTC', 'USDC'),
+    usdc_to_cbtc: legacyRoute('USDC', 'CBTC')
+};
+
+function checkRoutes(routes) {
+    const names = routes.map(routeName);
+    const duplicate = names.find((name, i) => names.indexOf(name) !== i);
+    return duplicate ? `more than one route is named "${duplicate}"` : null;
+}
+
+// Swap tokens on the network's router: CBTC for tokens, tokens for CBTC, or
+// token to token, directly or along a multi-hop path
+module.exports = {
+    name: 'swap',
+    enabledByDefault: true,
+
+    schema: ({ object, boolean, integer, string, array, range, repeatTimes, decimals }) => object({
+        repeat_times: repeatTimes(5, 10),
+        slippage_bps: integer({ min: 0, max: 10000, default: 50 }),
+        deadline_seconds: integer({ min: 1, default: 1200 }),
+        max_price_impact_bps: integer({ min: 0, max: 10000, default: 500 }),
+        routes: array(object({
+            name: string(),
+            from: string(),
+            to: string(),
+            path: array(string(), { minItems: 2 }),
+            enabled: boolean(),
+            amount: range({}),
+            decimals: integer({ min: 0, max: 18 })
+        }, { check: checkRoute }), { default: DEFAULT_ROUTES, check: checkRoutes })
+    }, { removed: LEGACY_ROUTES }),
+
+    // Token names have to exist on the selected network
+    check(settings, { network }) {
+        const tokens = new TokenRegistry(network);
+        return settings.routes.flatMap((route, i) => {
+            try {
+                tokens.resolvePath(routePath(route));
+                return [];
+            } catch (error) {
+                return [`routes[${i}]: ${error.message}`];
+            }
+        });
+    },
+
+    // Every enabled route runs once per round. Each route is budgeted on its own,
+    // so the pre-flight can scale them separately.
+    plan({ settings, runs }) {
+        const routes = settings.routes.map(resolveRoute).filter(route => route.enabled);
+        const steps = [];
+        for (let i = 0; i < runs; i++) {
+            routes.forEach(route => steps.push({
+                key: `swap:${i}:${route.name}`,
+                iteration: i,
+                route,
+                budget: {
+                    name: route.name,
+                    // Spends up to amount.max CBTC, or needs an approval plus the swap
+                    ...(String(route.path[0]).toUpperCase() === NATIVE_SYMBOL
+                        ? { value: ethers.utils.parseEther(formatAmount(route.amount.max, 18)) }
+                        : { txs: 2 })
+                }
+            }));
+        }
+        return steps;
+    },
+
+    async execute(bot, { step, runs, walletIndex, dryRun, logger, random }) {
+        const { route } = step;
+        const amount = random(route.amount.min, route.amount.max, route.decimals);
+        const from = route.path[0];
+
+        logger.info(`Initiating ${from} to ${route.path[route.path.length - 1]} swap`, {
+            walletIndex,
+            amount: `${amount} ${from}`,
+            ...(route.path.length > 2 ? { via: route.path.slice(1, -1).join(', ') } : {}),
+            run: `${step.iteration + 1}/${runs}`
+        });
+
+        const receipt = await bot.swapTokens(route.path, amount);
+        if (receipt && !dryRun) {
+            logger.info('Swap successful', {
+                walletIndex,
+                txHash: receipt.transactionHash
+            });
+        }
+        return receipt;
+    }
+};
@@ -0,0 +1,31 @@
+// Unwrap a random amount of WCBTC back into CBTC; scaled down to the WCBTC
+// balance, so it pairs with the wrap task running before it
+module.exports = {
+    name: 'unwrap',
+    gas: 60000,
+
+    schema: ({ object, range, repeatTimes, decimals }) => object({
+        amount: range({ min: 0.00001, max: 0.00002, extra: { decimals: decimals(6) } }),
+        repeat_times: repeatTimes(1, 3)
+    }),
+
+    plan: ({ runs }) => Array.from({ length: runs }, (_, i) => ({ key: `unwrap:${i}`, iteration: i })),
+
+    async execute(bot, { settings, walletIndex, dryRun, logger, random }) {
+        const amount = random(settings.amount.min, settings.amount.max, settings.amount.decimals);
+
+        logger.info('Initiating unwrap', {
+            walletIndex,
+            amount: `${amount} WCBTC`
+        });
+
+        const receipt = await bot.unwrapCBTC(amount);
+        if (receipt && !dryRun) {
+            logger.info('Unwrap successful', {
+                walletIndex,
+                txHash: receipt.transactionHash
+            });
+        }
+        return receipt;
+    }
+};
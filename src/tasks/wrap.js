@@ -0,0 +1,37 @@
+const { ethers } = require('ethers');
+const { formatAmount } = require('../lib/tokens');
+
+// Wrap a random amount of CBTC into WCBTC
+module.exports = {
+    name: 'wrap',
+    gas: 60000,
+
+    schema: ({ object, range, repeatTimes, decimals }) => object({
+        amount: range({ min: 0.00001, max: 0.00002, extra: { decimals: decimals(6) } }),
+        repeat_times: repeatTimes(1, 3)
+    }),
+
+    plan: ({ settings, runs }) => Array.from({ length: runs }, (_, i) => ({
+        key: `wrap:${i}`,
+        iteration: i,
+        budget: { value: ethers.utils.parseEther(formatAmount(settings.amount.max, 18)) }
+    })),
+
+    async execute(bot, { settings, walletIndex, dryRun, logger, random }) {
+        const amount = random(settings.amount.min, settings.amount.max, settings.amount.decimals);
+
+        logger.info('Initiating wrap', {
+            walletIndex,
+            amount: `${amount} CBTC`
+        });
+
+        const receipt = await bot.wrapCBTC(amount);
+        if (receipt && !dryRun) {
+            logger.info('Wrap successful', {
+                walletIndex,
+                txHash: receipt.transactionHash
+            });
+        }
+        return receipt;
+    }
+};
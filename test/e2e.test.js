@@ -0,0 +1,513 @@
+const { describe, it, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PassThrough } = require('stream');
+const winston = require('winston');
+const { ethers } = require('ethers');
+const bot = require('../index');
+const { ContractRegistry } = require('../src/lib/registry');
+const { Journal } = require('../src/lib/journal');
+const { ClassifiedError } = require('../src/lib/errors');
+const { TransactionSupervisor } = require('../src/lib/supervisor');
+const { resolveConfig } = require('../src/lib/config');
+const { resolveNetwork } = require('../src/lib/network');
+const { CONTEXT_FIELDS, jsonLogFormat } = require('../src/lib/logs');
+const {
+    CHAIN_ID,
+    startChain,
+    deployMockDex,
+    buildTemplates,
+    startFaultyProxy,
+    startMockExplorer,
+    startNotificationSink,
+    createTestConfig
+} = require('./helpers/chain');
+
+// Runs CitreaBot against an in-process Ganache chain with a mock DEX. All RPC
+// traffic goes through a proxy that can fail requests on demand.
+// Set E2E_LOGS=1 to see the bot's log output.
+describe('CitreaBot end to end', () => {
+    const contractTypes = Object.keys(bot.CONTRACTS);
+    let chain;
+    let proxy;
+    let dex;
+    let config;
+    let tempDir;
+    let artifactsDir;
+
+    const createBot = (account, options = {}) => new bot.CitreaBot(chain.wallets[account], config, options);
+    const usdcBalance = (address) => dex.usdc.balanceOf(address);
+
+    before(async () => {
+        // Only the console is silenced, so tests can still capture the JSON log entries
+        bot.logger.transports.forEach(transport => { transport.silent = !process.env.E2E_LOGS; });
+
+        chain = await startChain();
+        proxy = await startFaultyProxy(chain.url);
+        dex = await deployMockDex(chain.wallets[0], chain.wallets.map(wallet => wallet.address));
+        artifactsDir = buildTemplates();
+        tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'citrea-e2e-'));
+
+        config = createTestConfig({ rpcUrl: proxy.url, dex, contractTypes });
+        assert.deepEqual(resolveConfig(config, { contractTypes }).problems, []);
+        bot.configure(config);
+        await bot.connect();
+    });
+
+    after(async () => {
+        if (proxy) await proxy.close();
+        if (chain) await chain.close();
+        [tempDir, artifactsDir].filter(Boolean).forEach(dir => fs.rmSync(dir, { recursive: true, force: true }));
+    });
+
+    afterEach(() => proxy.reset());
+
+    it('sends a self transfer that only costs gas', async () => {
+        const instance = createBot(0);
+        const balanceBefore = await chain.provider.getBalance(instance.wallet.address);
+
+        const receipt = await instance.selfTransfer(0.001);
+
+        assert.equal(receipt.status, 1);
+        const balanceAfter = await chain.provider.getBalance(instance.wallet.address);
+        const gasCost = receipt.gasUsed.mul(receipt.effectiveGasPrice);
+        assert.equal(balanceBefore.sub(balanceAfter).toString(), gasCost.toString());
+    });
+
+    it('deploys every contract template', async () => {
+        const registry = new ContractRegistry(path.join(tempDir, 'deploy-contracts.json'));
+        const instance = createBot(0, { registry });
+
+        for (const contractType of contractTypes) {
+            const constructorArgs = bot.getConstructorArgs(contractType, config.tasks.contract_deploy.settings, {
+                address: instance.wallet.address,
+                registry
+            });
+            const deployed = await instance.deployContract(contractType, constructorArgs);
+
+            assert.notEqual(await chain.provider.getCode(deployed.address), '0x', `${contractType} has no code`);
+        }
+
+        const registered = registry.list(CHAIN_ID, instance.wallet.address);
+        assert.deepEqual(registered.map(entry => entry.type).sort(), [...contractTypes].sort());
+
+        // The ERC721 template is built from two source files and gets the wallet as its owner
+        const [entry] = registry.list(CHAIN_ID, instance.wallet.address, ['ERC721']);
+        const collection = new ethers.Contract(entry.address, entry.abi, instance.wallet);
+        assert.equal(await collection.owner(), instance.wallet.address);
+        const maxSupply = (await collection.maxSupply()).toNumber();
+        assert.ok(maxSupply >= 100 && maxSupply <= 10000);
+        assert.equal(await collection.supportsInterface('0x80ac58cd'), true);
+        await (await collection.mint()).wait();
+        assert.equal(await collection.ownerOf(0), instance.wallet.address);
+    });
+
+    it('verifies a deployed contract on the explorer', async () => {
+        const explorer = await startMockExplorer(chain.provider);
+        const verifyConfig = {
+            ...config,
+            networks: { ...config.networks, local: { ...config.networks.local, explorer_api_url: explorer.url } },
+            verification: { ...config.verification, enabled: true, poll_interval_seconds: 0.05 }
+        };
+        bot.configure(verifyConfig);
+
+        try {
+            const registry = new ContractRegistry(path.join(tempDir, 'verify-contracts.json'));
+            const instance = new bot.CitreaBot(chain.wallets[0], verifyConfig, { registry });
+            const constructorArgs = bot.getConstructorArgs('ERC20', config.tasks.contract_deploy.settings);
+
+            const deployed = await instance.deployContract('ERC20', constructorArgs);
+
+            const [entry] = registry.list(CHAIN_ID, instance.wallet.address);
+            assert.equal(entry.verification.status, 'verified', entry.verification.message);
+            assert.equal(instance.report.contracts[0].verification, 'verified');
+
+            const [submission] = explorer.submissions;
+            assert.equal(submission.address, deployed.address);
+            assert.equal(submission.contractName, 'SimpleERC20.sol:SimpleERC20');
+            assert.match(submission.compilerVersion, /^v0\.8\.\d+\+commit\.[0-9a-f]+$/);
+            assert.deepEqual(submission.constructorArgs.map(String), constructorArgs.map(String));
+        } finally {
+            bot.configure(config);
+            await explorer.close();
+        }
+    });
+
+    it('swaps CBTC for USDC', async () => {
+        const instance = createBot(0);
+        const before = await usdcBalance(instance.wallet.address);
+
+        const receipt = await instance.swapCBTCForUSDC(0.001);
+
+        assert.equal(receipt.status, 1);
+        assert.ok((await usdcBalance(instance.wallet.address)).gt(before));
+    });
+
+    it('swaps USDC for CBTC', async () => {
+        const instance = createBot(0);
+        const before = await usdcBalance(instance.wallet.address);
+        const reserveBefore = await dex.wcbtc.balanceOf(dex.router.address);
+
+        const receipt = await instance.swapUSDCForCBTC(5);
+
+        assert.equal(receipt.status, 1);
+        const spent = before.sub(await usdcBalance(instance.wallet.address));
+        assert.equal(spent.toString(), ethers.utils.parseUnits('5', 6).toString());
+
+        // The router unwraps the CBTC it pays out from its WCBTC reserve
+        assert.ok((await dex.wcbtc.balanceOf(dex.router.address)).lt(reserveBefore));
+    });
+
+    it('swaps tokens for tokens along a multi-hop path', async () => {
+        const instance = createBot(0);
+        const usdcBefore = await usdcBalance(instance.wallet.address);
+
+        // USDC -> WCBTC -> DAI, then DAI straight back to USDC
+        const receipt = await instance.swapTokens(['usdc', 'WCBTC', 'DAI'], 2.5);
+        assert.equal(receipt.status, 1);
+        assert.equal(usdcBefore.sub(await usdcBalance(instance.wallet.address)).toString(), ethers.utils.parseUnits('2.5', 6).toString());
+        const dai = await dex.dai.balanceOf(instance.wallet.address);
+        assert.ok(dai.gt(0));
+
+        // Decimals come from the token contracts: 18 for DAI
+        const back = await instance.swapTokens([dex.dai.address, 'USDC'], 0.5);
+        assert.equal(back.status, 1);
+        assert.equal(dai.sub(await dex.dai.balanceOf(instance.wallet.address)).toString(), ethers.utils.parseEther('0.5').toString());
+
+        await assert.rejects(instance.swapTokens(['USDC', 'CBTC', 'DAI'], 1), /CBTC can only be the first or last token/);
+    });
+
+    it('wraps and unwraps CBTC', async () => {
+        const instance = createBot(1);
+        const before = await dex.wcbtc.balanceOf(instance.wallet.address);
+
+        const wrapped = await instance.wrapCBTC(0.01);
+        assert.equal(wrapped.status, 1);
+        assert.equal((await dex.wcbtc.balanceOf(instance.wallet.address)).sub(before).toString(), ethers.utils.parseEther('0.01').toString());
+
+        // Unwrapping more than the balance is scaled down to it
+        const unwrapped = await instance.unwrapCBTC(1);
+        assert.equal(unwrapped.status, 1);
+        assert.ok((await dex.wcbtc.balanceOf(instance.wallet.address)).isZero());
+    });
+
+    it('approves only when the allowance falls short and revokes router allowances', async () => {
+        const cappedConfig = { ...config, approvals: { policy: 'infinite', caps: { USDC: 10 } } };
+        const instance = new bot.CitreaBot(chain.wallets[1], cappedConfig);
+        let approvals = 0;
+        instance.onTransaction = (tx, { primary }) => { if (!primary) approvals++; };
+
+        // One approval of the cap covers both swaps
+        assert.equal((await instance.swapTokens(['USDC', 'CBTC'], 2)).status, 1);
+        assert.equal((await instance.swapTokens(['USDC', 'CBTC'], 3)).status, 1);
+        assert.equal(approvals, 1);
+
+        const [allowance] = await instance.listAllowances();
+        assert.equal(allowance.token.symbol, 'USDC');
+        assert.equal(allowance.allowance.toString(), ethers.utils.parseUnits('5', 6).toString());
+
+        const revoked = await instance.revokeAllowances();
+        assert.deepEqual(revoked.map(entry => entry.token.symbol), ['USDC']);
+        assert.equal(revoked[0].receipt.status, 1);
+        assert.deepEqual(await instance.listAllowances(), []);
+
+        // The exact policy leaves no allowance behind
+        const exact = createBot(1);
+        assert.equal((await exact.swapTokens(['USDC', 'CBTC'], 1)).status, 1);
+        assert.deepEqual(await exact.listAllowances(), []);
+    });
+
+    it('runs every task of a wallet through processWallet', async () => {
+        const journal = new Journal(path.join(tempDir, 'journal.jsonl'));
+        const registry = new ContractRegistry(path.join(tempDir, 'contracts.json'));
+        const { cycleId } = journal.startCycle();
+        const entries = [];
+        const stream = new PassThrough({ objectMode: true }).on('data', entry => entries.push(JSON.parse(entry[Symbol.for('message')])));
+        const capture = new winston.transports.Stream({ stream, format: jsonLogFormat() });
+        bot.logger.add(capture);
+
+        let report;
+        try {
+            report = await bot.processWallet(chain.wallets[1], 1, chain.wallets.length, config, { journal, cycleId, registry });
+        } finally {
+            bot.logger.remove(capture);
+        }
+
+        assert.equal(report.status, 'completed', report.error);
+        assert.deepEqual(Object.keys(report.tasks).sort(), ['contract_deploy', 'contract_interact', 'self_transfer', 'swap']);
+        for (const [task, counts] of Object.entries(report.tasks)) {
+            assert.equal(counts.errors, 0, `${task} had errors`);
+            assert.equal(counts.failed, 0, `${task} had failed transactions`);
+            assert.equal(counts.succeeded, counts.sent, `${task} has unconfirmed transactions`);
+        }
+        assert.equal(report.tasks.contract_deploy.succeeded, contractTypes.length);
+        // CBTC to USDC, then USDC approval and USDC to CBTC
+        assert.equal(report.tasks.swap.succeeded, 3);
+        assert.equal(report.contracts.length, contractTypes.length);
+        assert.ok(report.gasCost.gt(0));
+        assert.ok(journal.isWalletFinished(cycleId, chain.wallets[1].address));
+
+        // Every file log entry carries the context fields, set by the task step that logged it
+        assert.ok(entries.length > 0);
+        entries.forEach(entry => CONTEXT_FIELDS.forEach(field => assert.ok(field in entry, `${field} missing from "${entry.message}"`)));
+        const transfer = entries.find(entry => entry.message === 'Initiating transfer');
+        assert.equal(transfer.task, 'self_transfer');
+        assert.equal(transfer.iteration, 1);
+    });
+
+    it('notifies when a wallet is left with a low balance', async () => {
+        const sink = await startNotificationSink();
+        const notifyConfig = {
+            ...JSON.parse(JSON.stringify(config)),
+            notifications: { low_balance_cbtc: 1000000, channels: [{ type: 'webhook', url: sink.url }] }
+        };
+        Object.values(notifyConfig.tasks).forEach(task => { task.enabled = false; });
+        bot.configure(notifyConfig);
+
+        try {
+            const report = await bot.processWallet(chain.wallets[2], 2, chain.wallets.length, notifyConfig);
+
+            assert.equal(report.status, 'completed');
+            assert.equal(sink.requests.length, 1);
+            const { body } = sink.requests[0];
+            assert.equal(body.event, 'low_balance');
+            assert.equal(body.severity, 'warning');
+            assert.equal(body.fields.address, chain.wallets[2].address);
+        } finally {
+            bot.configure(config);
+            await sink.close();
+        }
+    });
+
+    it('fails only the wallet when its tasks cannot be planned', async () => {
+        const sink = await startNotificationSink();
+        const failConfig = { ...config, notifications: { channels: [{ type: 'webhook', url: sink.url }] } };
+        bot.configure(failConfig);
+        proxy.fail('eth_getBalance', 100);
+
+        try {
+            const report = await bot.processWallet(chain.wallets[2], 2, chain.wallets.length, failConfig);
+
+            assert.equal(report.status, 'failed');
+            assert.equal(report.address, chain.wallets[2].address);
+            assert.equal(report.index, 3);
+            assert.deepEqual(sink.requests.map(request => request.body.event), ['wallet_failed']);
+        } finally {
+            bot.configure(config);
+            await sink.close();
+        }
+    });
+
+    it('rejects network profiles with placeholder addresses', () => {
+        const placeholder = JSON.parse(JSON.stringify(config));
+        placeholder.networks.local.router = ethers.constants.AddressZero;
+
+        assert.deepEqual(resolveConfig(placeholder, { contractTypes }).problems, [
+            'networks.local.router: is the zero address, set the router and token addresses of your deployment'
+        ]);
+        assert.throws(() => resolveNetwork(placeholder), /Network profile "local" has no router address/);
+    });
+
+    it('keeps a CBTC reserve below one millionth', async () => {
+        const instance = new bot.CitreaBot(chain.wallets[2], { ...config, preflight: { ...config.preflight, reserve_cbtc: 0.0000005 } });
+
+        assert.equal(instance.guard.reserve.toString(), ethers.utils.parseEther('0.0000005').toString());
+    });
+
+    it('self-transfers an amount below one millionth', async () => {
+        const receipt = await createBot(2).selfTransfer(0.0000004);
+
+        assert.equal(receipt.status, 1);
+        const tx = await chain.provider.getTransaction(receipt.transactionHash);
+        assert.equal(tx.value.toString(), ethers.utils.parseEther('0.0000004').toString());
+    });
+
+    it('skips CBTC transfers whose amount rounds down to zero', async () => {
+        const instance = createBot(2);
+        const nonce = await chain.provider.getTransactionCount(instance.wallet.address);
+
+        assert.equal(await instance.selfTransfer(0), null);
+        assert.equal(await instance.wrapCBTC(0), null);
+        assert.equal(await chain.provider.getTransactionCount(instance.wallet.address), nonce);
+    });
+
+    it('retries a failed contract call without repeating the calls before it', async () => {
+        const registry = new ContractRegistry(path.join(tempDir, 'interact-contracts.json'));
+        const instance = createBot(2, { registry });
+        await instance.deployContract('NFTMinter');
+        const [entry] = registry.list(CHAIN_ID, instance.wallet.address, ['NFTMinter']);
+        const minter = new ethers.Contract(entry.address, entry.abi, chain.provider);
+
+        // Fail the broadcast of setTokenURI once the mint went out
+        instance.onTransaction = () => {
+            instance.onTransaction = null;
+            proxy.fail('eth_sendRawTransaction', 1);
+        };
+        const receipt = await instance.interactWithContract(entry);
+
+        assert.equal(receipt.status, 1);
+        assert.equal(proxy.failedCount('eth_sendRawTransaction'), 1);
+        assert.equal((await minter.getTokenCount(instance.wallet.address)).toNumber(), 1);
+        assert.equal(await minter.tokenURI(0), `ipfs://citrea-bot/${entry.address.toLowerCase()}/0`);
+    });
+
+    it('resends an underpriced contract call with a higher fee', async () => {
+        const registry = new ContractRegistry(path.join(tempDir, 'underpriced-contracts.json'));
+        const instance = createBot(2, { registry });
+        await instance.deployContract('SimpleStorage');
+        const [entry] = registry.list(CHAIN_ID, instance.wallet.address, ['SimpleStorage']);
+        proxy.fail('eth_sendRawTransaction', 1, { error: 'replacement transaction underpriced' });
+
+        const receipt = await instance.interactWithContract(entry);
+
+        assert.equal(receipt.status, 1);
+        const [[raw]] = proxy.failedParams('eth_sendRawTransaction');
+        const rejected = ethers.utils.parseTransaction(raw);
+        const mined = await chain.provider.getTransaction(receipt.transactionHash);
+        assert.equal(mined.nonce, rejected.nonce);
+        assert.ok(mined.maxFeePerGas.gt(rejected.maxFeePerGas), 'the resend has the same fee');
+        assert.equal(instance.fees.bumpFactor, 1);
+        assert.equal(instance.retryDepth, 0);
+    });
+
+    // Ganache mines every pending transaction of a nonce, replaced or not, so stuck
+    // transactions are held back by the proxy instead and released to the chain on demand
+    const superviseStuckTransfer = async (holds, settings, onReplace = () => {}) => {
+        const instance = createBot(2);
+        const supervisor = new TransactionSupervisor(instance.wallet, instance.fees, {
+            timeout_seconds: 0.3,
+            poll_interval_seconds: 0.05,
+            bump_percent: 20,
+            ...settings
+        });
+        const request = { to: instance.wallet.address, value: 1 };
+        const overrides = await instance.fees.getOverrides('self_transfer', () => instance.wallet.estimateGas(request));
+        proxy.fail('eth_sendRawTransaction', holds, { hold: true });
+
+        const tx = await instance.wallet.sendTransaction({ ...request, ...overrides });
+        const replacements = [];
+        const result = supervisor.wait(tx, {
+            task: 'self_transfer',
+            onReplace: (replacement) => {
+                replacements.push(replacement);
+                onReplace(replacement, replacements);
+            }
+        });
+        return { tx, replacements, result };
+    };
+
+    it('speeds up a stuck transaction with the same nonce and bumped fees', async () => {
+        const nonce = await chain.provider.getTransactionCount(chain.wallets[2].address);
+        const { tx, replacements, result } = await superviseStuckTransfer(1, { max_bumps: 3 });
+
+        const receipt = await result;
+
+        assert.equal(replacements.length, 1);
+        const [speedUp] = replacements;
+        assert.equal(speedUp.nonce, tx.nonce);
+        assert.equal(speedUp.data, tx.data);
+        assert.ok(speedUp.maxFeePerGas.gt(tx.maxFeePerGas));
+        assert.ok(speedUp.maxPriorityFeePerGas.gt(tx.maxPriorityFeePerGas));
+        assert.equal(receipt.transactionHash, speedUp.hash);
+        assert.equal(await chain.provider.getTransactionCount(chain.wallets[2].address), nonce + 1);
+    });
+
+    it('cancels a stuck transaction after max_bumps speed-ups', async () => {
+        const { tx, replacements, result } = await superviseStuckTransfer(2, { max_bumps: 1 });
+
+        await assert.rejects(result, (error) => {
+            assert.ok(error instanceof ClassifiedError);
+            assert.equal(error.strategy, 'skip_task');
+            assert.match(error.message, /was cancelled after 1 fee bumps/);
+            return true;
+        });
+        assert.equal(replacements.length, 2);
+        const [speedUp, cancel] = replacements;
+        assert.equal(cancel.nonce, tx.nonce);
+        assert.equal(cancel.to, chain.wallets[2].address);
+        assert.ok(cancel.value.isZero());
+        assert.equal(cancel.data, '0x');
+        assert.ok(cancel.maxFeePerGas.gt(speedUp.maxFeePerGas));
+        assert.equal((await chain.provider.getTransactionReceipt(cancel.hash)).status, 1);
+    });
+
+    it('returns the receipt of an earlier replacement once that one is mined', async () => {
+        // Release the first speed-up once the second one was sent
+        let released;
+        const { replacements, result } = await superviseStuckTransfer(3, { max_bumps: 3 }, (replacement, sent) => {
+            if (sent.length === 2) {
+                const [, [raw]] = proxy.failedParams('eth_sendRawTransaction');
+                released = chain.provider.send('eth_sendRawTransaction', [raw]);
+            }
+        });
+
+        const receipt = await result;
+        await released;
+
+        assert.ok(replacements.length >= 2);
+        assert.equal(receipt.transactionHash, replacements[0].hash);
+        assert.equal(receipt.status, 1);
+    });
+
+    it('retries transient RPC failures', async () => {
+        const instance = createBot(2);
+        proxy.fail('eth_sendRawTransaction', 2);
+
+        const receipt = await instance.selfTransfer(0.001);
+
+        assert.equal(receipt.status, 1);
+        assert.equal(proxy.failedCount('eth_sendRawTransaction'), 2);
+    });
+
+    it('does not send a transaction twice when the response to its broadcast is lost', async () => {
+        const instance = createBot(2);
+        const nonce = await chain.provider.getTransactionCount(instance.wallet.address);
+        proxy.fail('eth_sendRawTransaction', 1, { drop: true });
+
+        const receipt = await instance.selfTransfer(0.001);
+
+        assert.equal(receipt.status, 1);
+        const [[raw]] = proxy.failedParams('eth_sendRawTransaction');
+        assert.equal(receipt.transactionHash, ethers.utils.keccak256(raw));
+        assert.equal(await chain.provider.getTransactionCount(instance.wallet.address), nonce + 1);
+        assert.equal(instance.unsent, null);
+    });
+
+    it('fails over to the next RPC endpoint', async () => {
+        const backup = await startFaultyProxy(chain.url);
+        const failoverConfig = JSON.parse(JSON.stringify(config));
+        failoverConfig.networks.local.rpc_urls = [proxy.url, backup.url];
+        bot.configure(failoverConfig);
+
+        try {
+            const instance = createBot(2);
+            proxy.fail('eth_sendRawTransaction', 100);
+
+            const receipt = await instance.selfTransfer(0.001);
+
+            assert.equal(receipt.status, 1);
+            assert.equal(proxy.failedCount('eth_sendRawTransaction'), 1);
+            assert.equal(backup.failedCount('eth_sendRawTransaction'), 0);
+        } finally {
+            bot.configure(config);
+            await backup.close();
+        }
+    });
+
+    it('gives up once the network retries are exhausted', async () => {
+        const instance = createBot(2);
+        const nonce = await chain.provider.getTransactionCount(instance.wallet.address);
+        proxy.fail('eth_sendRawTransaction', 100);
+
+        await assert.rejects(instance.selfTransfer(0.001), (error) => {
+            assert.ok(error instanceof ClassifiedError);
+            assert.equal(error.category, 'network');
+            assert.equal(error.strategy, 'abort_wallet');
+            return true;
+        });
+        assert.equal(proxy.failedCount('eth_sendRawTransaction'), config.errors.network.max_attempts);
+        assert.equal(await chain.provider.getTransactionCount(instance.wallet.address), nonce);
+    });
+});
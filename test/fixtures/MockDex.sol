@@ -0,0 +1,136 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+// Mock DEX for the end-to-end tests: WCBTC, ERC20 tokens (a 6-decimal USDC and an
+// 18-decimal DAI) and a UniswapV2-style router
+
+// Minimal ERC20 with open minting
+contract MockERC20 {
+    string public name;
+    string public symbol;
+    uint8 public decimals;
+    uint256 public totalSupply;
+    mapping(address => uint256) public balanceOf;
+    mapping(address => mapping(address => uint256)) public allowance;
+
+    event Transfer(address indexed from, address indexed to, uint256 value);
+    event Approval(address indexed owner, address indexed spender, uint256 value);
+
+    constructor(string memory _name, string memory _symbol, uint8 _decimals) {
+        name = _name;
+        symbol = _symbol;
+        decimals = _decimals;
+    }
+
+    function mint(address to, uint256 amount) public {
+        totalSupply += amount;
+        balanceOf[to] += amount;
+        emit Transfer(address(0), to, amount);
+    }
+
+    function approve(address spender, uint256 amount) public returns (bool) {
+        allowance[msg.sender][spender] = amount;
+        emit Approval(msg.sender, spender, amount);
+        return true;
+    }
+
+    function transfer(address to, uint256 amount) public returns (bool) {
+        return _transfer(msg.sender, to, amount);
+    }
+
+    function transferFrom(address from, address to, uint256 amount) public returns (bool) {
+        require(allowance[from][msg.sender] >= amount, "insufficient allowance");
+        allowance[from][msg.sender] -= amount;
+        return _transfer(from, to, amount);
+    }
+
+    function _transfer(address from, address to, uint256 amount) internal returns (bool) {
+        require(balanceOf[from] >= amount, "insufficient balance");
+        balanceOf[from] -= amount;
+        balanceOf[to] += amount;
+        emit Transfer(from, to, amount);
+        return true;
+    }
+}
+
+// Wrapped native token (WCBTC)
+contract MockWETH is MockERC20 {
+    event Deposit(address indexed dst, uint256 wad);
+    event Withdrawal(address indexed src, uint256 wad);
+
+    constructor() MockERC20("Wrapped CBTC", "WCBTC", 18) {}
+
+    receive() external payable {
+        deposit();
+    }
+
+    function deposit() public payable {
+        balanceOf[msg.sender] += msg.value;
+        totalSupply += msg.value;
+        emit Deposit(msg.sender, msg.value);
+    }
+
+    function withdraw(uint256 wad) public {
+        require(balanceOf[msg.sender] >= wad, "insufficient balance");
+        balanceOf[msg.sender] -= wad;
+        totalSupply -= wad;
+        payable(msg.sender).transfer(wad);
+        emit Withdrawal(msg.sender, wad);
+    }
+}
+
+// Router holding all liquidity itself; each hop prices against its token balances (x*y=k, 0.3% fee)
+contract MockRouter {
+    address public immutable WETH;
+
+    constructor(address weth) {
+        WETH = weth;
+    }
+
+    receive() external payable {}
+
+    function getAmountsOut(uint256 amountIn, address[] memory path) public view returns (uint256[] memory amounts) {
+        require(path.length >= 2, "invalid path");
+        amounts = new uint256[](path.length);
+        amounts[0] = amountIn;
+        for (uint256 i = 0; i < path.length - 1; i++) {
+            uint256 reserveIn = MockERC20(path[i]).balanceOf(address(this));
+            uint256 reserveOut = MockERC20(path[i + 1]).balanceOf(address(this));
+            uint256 amountInWithFee = amounts[i] * 997;
+            amounts[i + 1] = (amountInWithFee * reserveOut) / (reserveIn * 1000 + amountInWithFee);
+        }
+    }
+
+    function swapExactETHForTokens(uint256 amountOutMin, address[] calldata path, address to, uint256 deadline)
+        external payable returns (uint256[] memory amounts)
+    {
+        require(deadline >= block.timestamp, "expired");
+        require(path[0] == WETH, "invalid path");
+        amounts = getAmountsOut(msg.value, path);
+        require(amounts[amounts.length - 1] >= amountOutMin, "insufficient output amount");
+        MockWETH(payable(WETH)).deposit{value: msg.value}();
+        MockERC20(path[path.length - 1]).transfer(to, amounts[amounts.length - 1]);
+    }
+
+    function swapExactTokensForETH(uint256 amountIn, uint256 amountOutMin, address[] calldata path, address to, uint256 deadline)
+        external returns (uint256[] memory amounts)
+    {
+        require(deadline >= block.timestamp, "expired");
+        require(path[path.length - 1] == WETH, "invalid path");
+        amounts = getAmountsOut(amountIn, path);
+        require(amounts[amounts.length - 1] >= amountOutMin, "insufficient output amount");
+        MockERC20(path[0]).transferFrom(msg.sender, address(this), amountIn);
+        MockWETH(payable(WETH)).withdraw(amounts[amounts.length - 1]);
+        payable(to).transfer(amounts[amounts.length - 1]);
+    }
+
+    function swapExactTokensForTokens(uint256 amountIn, uint256 amountOutMin, address[] calldata path, address to, uint256 deadline)
+        external returns (uint256[] memory amounts)
+    {
+        require(deadline >= block.timestamp, "expired");
+        amounts = getAmountsOut(amountIn, path);
+        require(amounts[amounts.length - 1] >= amountOutMin, "insufficient output amount");
+        MockERC20(path[0]).transferFrom(msg.sender, address(this), amountIn);
+        MockERC20(path[path.length - 1]).transfer(to, amounts[amounts.length - 1]);
+    }
+}
@@ -0,0 +1,382 @@
+const fs = require('fs');
+const os = require('os');
+const net = require('net');
+const http = require('http');
+const path = require('path');
+const ganache = require('ganache');
+const solc = require('solc');
+const { ethers } = require('ethers');
+const { compileSource, setArtifactsDir, writeArtifact } = require('../../src/lib/artifacts');
+const { loadTemplates } = require('../../src/lib/templates');
+const { generateDefaultConfig } = require('../../src/lib/config');
+
+const CHAIN_ID = 31337;
+// Ganache does not implement the EVM versions newer solc releases target by default
+const EVM_VERSION = 'paris';
+
+// Funded test accounts
+const KEYS = ['11', '22', '33'].map(byte => `0x${byte.repeat(32)}`);
+
+function getFreePort() {
+    return new Promise((resolve, reject) => {
+        const server = net.createServer();
+        server.unref();
+        server.on('error', reject);
+        server.listen(0, '127.0.0.1', () => {
+            const { port } = server.address();
+            server.close(() => resolve(port));
+        });
+    });
+}
+
+// In-process Ganache served over HTTP, since CitreaBot connects by RPC URL
+async function startChain() {
+    const server = ganache.server({
+        chain: { chainId: CHAIN_ID },
+        wallet: { accounts: KEYS.map(secretKey => ({ secretKey, balance: ethers.utils.parseEther('10000').toHexString() })) },
+        logging: { quiet: true }
+    });
+    const port = await getFreePort();
+    await server.listen(port, '127.0.0.1');
+
+    const url = `http://127.0.0.1:${port}`;
+    const provider = new ethers.providers.JsonRpcProvider(url);
+    return {
+        url,
+        provider,
+        wallets: KEYS.map(key => new ethers.Wallet(key, provider)),
+        close: () => server.close()
+    };
+}
+
+function compile(file, name) {
+    const input = {
+        language: 'Solidity',
+        sources: { [name]: { content: fs.readFileSync(file, 'utf8') } },
+        settings: {
+            evmVersion: EVM_VERSION,
+            outputSelection: { '*': { '*': ['abi', 'evm.bytecode.object'] } }
+        }
+    };
+    const output = JSON.parse(solc.compile(JSON.stringify(input)));
+    const errors = (output.errors || []).filter(error => error.severity === 'error');
+    if (errors.length > 0) {
+        throw new Error(errors.map(error => error.formattedMessage).join('\n'));
+    }
+    return output.contracts[name];
+}
+
+// Deploy WCBTC, USDC and the router, seed the router's liquidity and give every
+// test account some USDC
+async function deployMockDex(deployer, recipients) {
+    const contracts = compile(path.join(__dirname, '..', 'fixtures', 'MockDex.sol'), 'MockDex.sol');
+    const deploy = async (name, ...args) => {
+        const factory = new ethers.ContractFactory(contracts[name].abi, contracts[name].evm.bytecode.object, deployer);
+        const contract = await factory.deploy(...args);
+        await contract.deployed();
+        return contract;
+    };
+
+    const wcbtc = await deploy('MockWETH');
+    const usdc = await deploy('MockERC20', 'USD Coin', 'USDC', 6);
+    const dai = await deploy('MockERC20', 'Dai Stablecoin', 'DAI', 18);
+    const router = await deploy('MockRouter', wcbtc.address);
+
+    await (await wcbtc.deposit({ value: ethers.utils.parseEther('100') })).wait();
+    await (await wcbtc.transfer(router.address, ethers.utils.parseEther('100'))).wait();
+    await (await usdc.mint(router.address, ethers.utils.parseUnits('10000000', 6))).wait();
+    await (await dai.mint(router.address, ethers.utils.parseEther('10000000'))).wait();
+    for (const recipient of recipients) {
+        await (await usdc.mint(recipient, ethers.utils.parseUnits('1000', 6))).wait();
+    }
+    return { wcbtc, usdc, dai, router };
+}
+
+// Compile the bot's contract templates for Ganache into a temporary artifacts directory
+function buildTemplates() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'citrea-artifacts-'));
+    setArtifactsDir(dir);
+
+    for (const { source } of Object.values(loadTemplates())) {
+        const { artifacts, errors } = compileSource(solc, source, { evmVersion: EVM_VERSION });
+        if (errors.length > 0) {
+            throw new Error(errors.map(error => error.formattedMessage).join('\n'));
+        }
+        artifacts.forEach(writeArtifact);
+    }
+    return dir;
+}
+
+// JSON-RPC proxy in front of the chain that answers the next `count` calls of a
+// method with an HTTP error, to exercise the retry logic. With `error` the calls
+// get that JSON-RPC error instead; with `drop` they reach the chain but their
+// response is lost. With `hold`, raw transactions are acknowledged with their hash
+// but never reach the chain, as if they were stuck. The params of every failed
+// call are recorded, so held transactions can be released later.
+async function startFaultyProxy(target) {
+    const failures = {};
+    const failed = {};
+
+    const forward = (body, onResponse) => {
+        const upstream = http.request(target, { method: 'POST', headers: { 'content-type': 'application/json' } }, onResponse);
+        upstream.on('error', error => onResponse(null, error));
+        upstream.end(body);
+    };
+
+    const server = http.createServer((req, res) => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => {
+            const body = Buffer.concat(chunks);
+            const { id, method, params } = JSON.parse(body.toString());
+            const failure = failures[method];
+
+            if (failure && failure.count > 0) {
+                failure.count--;
+                (failed[method] = failed[method] || []).push(params);
+                if (failure.hold) {
+                    res.writeHead(200, { 'content-type': 'application/json' });
+                    res.end(JSON.stringify({ jsonrpc: '2.0', id, result: ethers.utils.keccak256(params[0]) }));
+                } else if (failure.drop) {
+                    forward(body, (response) => {
+                        if (response) response.resume();
+                        res.socket.destroy();
+                    });
+                } else if (failure.error) {
+                    res.writeHead(200, { 'content-type': 'application/json' });
+                    res.end(JSON.stringify({ jsonrpc: '2.0', id, error: { code: -32000, message: failure.error } }));
+                } else {
+                    res.writeHead(503, { 'content-type': 'text/plain' });
+                    res.end('service unavailable');
+                }
+                return;
+            }
+
+            forward(body, (response, error) => {
+                if (!response) {
+                    res.writeHead(502);
+                    res.end(error.message);
+                    return;
+                }
+                res.writeHead(response.statusCode, response.headers);
+                response.pipe(res);
+            });
+        });
+    });
+
+    const port = await getFreePort();
+    await new Promise(resolve => server.listen(port, '127.0.0.1', resolve));
+
+    return {
+        url: `http://127.0.0.1:${port}`,
+        fail(method, count, { error = null, drop = false, hold = false } = {}) {
+            failures[method] = { count, error, drop, hold };
+        },
+        failedCount(method) {
+            return (failed[method] || []).length;
+        },
+        failedParams(method) {
+            return failed[method] || [];
+        },
+        reset() {
+            Object.keys(failures).forEach(method => delete failures[method]);
+            Object.keys(failed).forEach(method => delete failed[method]);
+        },
+        close: () => new Promise(resolve => {
+            server.closeAllConnections();
+            server.close(resolve);
+        })
+    };
+}
+
+// Blockscout-like verification API. Submissions are compiled with solc and the
+// runtime bytecode compared with the code on chain; every status check reports
+// "Pending in queue" once before the result.
+async function startMockExplorer(provider) {
+    const submissions = [];
+    const jobs = {};
+
+    const verify = async (params) => {
+        const code = await provider.getCode(params.contractaddress);
+        if (code === '0x') return { status: '0', message: 'NOTOK', result: 'Address is not a smart-contract' };
+
+        const input = JSON.parse(params.sourceCode);
+        input.settings.outputSelection = { '*': { '*': ['abi', 'evm.deployedBytecode.object'] } };
+        const output = JSON.parse(solc.compile(JSON.stringify(input)));
+        const [sourceName, contractName] = params.contractname.split(':');
+        const contract = ((output.contracts || {})[sourceName] || {})[contractName];
+        if (!contract) return { status: '0', message: 'NOTOK', result: `Contract ${params.contractname} not found in sources` };
+
+        const constructor = contract.abi.find(item => item.type === 'constructor');
+        const submission = {
+            address: params.contractaddress,
+            contractName: params.contractname,
+            compilerVersion: params.compilerversion,
+            constructorArgs: constructor
+                ? ethers.utils.defaultAbiCoder.decode(constructor.inputs, `0x${params.constructorArguements}`)
+                : [],
+            matches: `0x${contract.evm.deployedBytecode.object}` === code &&
+                params.compilerversion === `v${solc.version().replace(/\.Emscripten.*$/, '')}`
+        };
+        submissions.push(submission);
+
+        const guid = `guid-${submissions.length}`;
+        jobs[guid] = { checks: 0, submission };
+        return { status: '1', message: 'OK', result: guid };
+    };
+
+    const checkStatus = (guid) => {
+        const job = jobs[guid];
+        if (!job) return { status: '0', message: 'NOTOK', result: 'Unknown UID' };
+        if (job.checks++ === 0) return { status: '0', message: 'NOTOK', result: 'Pending in queue' };
+        return job.submission.matches
+            ? { status: '1', message: 'OK', result: 'Pass - Verified' }
+            : { status: '0', message: 'NOTOK', result: 'Fail - Unable to verify' };
+    };
+
+    const server = http.createServer((req, res) => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', async () => {
+            const url = new URL(req.url, 'http://localhost');
+            const params = Object.fromEntries(req.method === 'POST'
+                ? new URLSearchParams(Buffer.concat(chunks).toString())
+                : url.searchParams);
+
+            let response;
+            try {
+                if (params.action === 'verifysourcecode') response = await verify(params);
+                else if (params.action === 'checkverifystatus') response = checkStatus(params.guid);
+                else response = { status: '0', message: 'NOTOK', result: `Unknown action ${params.action}` };
+            } catch (error) {
+                response = { status: '0', message: 'NOTOK', result: error.message };
+            }
+            res.writeHead(200, { 'content-type': 'application/json' });
+            res.end(JSON.stringify(response));
+        });
+    });
+
+    const port = await getFreePort();
+    await new Promise(resolve => server.listen(port, '127.0.0.1', resolve));
+
+    return {
+        url: `http://127.0.0.1:${port}/api`,
+        submissions,
+        close: () => new Promise(resolve => {
+            server.closeAllConnections();
+            server.close(resolve);
+        })
+    };
+}
+
+// Stand-in for webhook, Discord and Telegram endpoints that records every request
+async function startNotificationSink() {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => {
+            requests.push({ path: req.url, body: JSON.parse(Buffer.concat(chunks).toString()) });
+            res.writeHead(204);
+            res.end();
+        });
+    });
+
+    const port = await getFreePort();
+    await new Promise(resolve => server.listen(port, '127.0.0.1', resolve));
+
+    return {
+        url: `http://127.0.0.1:${port}`,
+        requests,
+        close: () => new Promise(resolve => {
+            server.closeAllConnections();
+            server.close(resolve);
+        })
+    };
+}
+
+// Minimal JSON-RPC node answering eth_chainId and eth_blockNumber from `state`,
+// after `state.delay` ms, or with HTTP 503 while `state.down` is set. Records
+// the method of every request.
+async function startStubRpc(initial) {
+    const state = { chainId: CHAIN_ID, blockNumber: 100, delay: 0, down: false, ...initial };
+    const requests = [];
+
+    const server = http.createServer((req, res) => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => {
+            const { id, method } = JSON.parse(Buffer.concat(chunks).toString());
+            requests.push({ method });
+
+            setTimeout(() => {
+                if (state.down) {
+                    res.writeHead(503, { 'content-type': 'text/plain' });
+                    res.end('service unavailable');
+                    return;
+                }
+                const results = { eth_chainId: state.chainId, eth_blockNumber: state.blockNumber };
+                const body = method in results
+                    ? { jsonrpc: '2.0', id, result: ethers.utils.hexValue(results[method]) }
+                    : { jsonrpc: '2.0', id, error: { code: -32601, message: `method ${method} not supported` } };
+                res.writeHead(200, { 'content-type': 'application/json' });
+                res.end(JSON.stringify(body));
+            }, state.delay);
+        });
+    });
+
+    const port = await getFreePort();
+    await new Promise(resolve => server.listen(port, '127.0.0.1', resolve));
+
+    return {
+        url: `http://127.0.0.1:${port}`,
+        state,
+        requests,
+        close: () => new Promise(resolve => {
+            server.closeAllConnections();
+            server.close(resolve);
+        })
+    };
+}
+
+// Default config pointed at the local chain, with every task enabled once and
+// short delays so the suite runs quickly
+function createTestConfig({ rpcUrl, dex, contractTypes }) {
+    const config = generateDefaultConfig({ contractTypes });
+
+    config.network = 'local';
+    config.networks.local = {
+        chain_id: CHAIN_ID,
+        rpc_urls: [rpcUrl],
+        router: dex.router.address,
+        tokens: { WCBTC: dex.wcbtc.address, USDC: dex.usdc.address, DAI: dex.dai.address },
+        explorer_tx_url: null
+    };
+
+    const once = { min: 1, max: 1 };
+    config.tasks.self_transfer.enabled = true;
+    config.tasks.self_transfer.settings.repeat_times = once;
+    config.tasks.contract_deploy.enabled = true;
+    config.tasks.contract_deploy.settings.repeat_times = once;
+    config.tasks.contract_interact.enabled = true;
+    config.tasks.contract_interact.settings.repeat_times = once;
+    config.tasks.swap.enabled = true;
+    config.tasks.swap.settings.repeat_times = once;
+
+    config.errors.network = { ...config.errors.network, max_attempts: 3, initial_delay: 10, max_delay: 20 };
+    config.stuck_transactions.poll_interval_seconds = 0.1;
+    config.delay = { between_tasks: 0, between_wallets: 0 };
+    return config;
+}
+
+module.exports = {
+    CHAIN_ID,
+    startChain,
+    deployMockDex,
+    buildTemplates,
+    startFaultyProxy,
+    startMockExplorer,
+    startNotificationSink,
+    startStubRpc,
+    createTestConfig
+};
@@ -0,0 +1,107 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { Notifier } = require('../src/lib/notify');
+const { startNotificationSink } = require('./helpers/chain');
+
+const silentLogger = { info() {}, warn() {}, error() {} };
+
+// Webhook, Discord and Telegram channels against a local HTTP stand-in
+describe('Notifier', () => {
+    let sink;
+
+    before(async () => {
+        sink = await startNotificationSink();
+        process.env.TEST_DISCORD_WEBHOOK_URL = `${sink.url}/discord/123/secret-webhook-token`;
+        process.env.TEST_TELEGRAM_BOT_TOKEN = '123456:telegram-test-token';
+    });
+
+    after(async () => {
+        delete process.env.TEST_DISCORD_WEBHOOK_URL;
+        delete process.env.TEST_TELEGRAM_BOT_TOKEN;
+        if (sink) await sink.close();
+    });
+
+    beforeEach(() => {
+        sink.requests.length = 0;
+    });
+
+    const createNotifier = (channels) => new Notifier({ channels }, { logger: silentLogger });
+    const paths = () => sink.requests.map(request => request.path.split('/')[1]).sort();
+
+    it('formats a notification for each channel type', async () => {
+        const notifier = createNotifier([
+            { type: 'webhook', url: `${sink.url}/webhook`, min_severity: 'info' },
+            { type: 'discord', webhook_url_env: 'TEST_DISCORD_WEBHOOK_URL', min_severity: 'info' },
+            { type: 'telegram', bot_token_env: 'TEST_TELEGRAM_BOT_TOKEN', chat_id: 42, api_url: sink.url, min_severity: 'info' }
+        ]);
+
+        await notifier.notify('wallet_failed', 'error', 'Wallet 1 processing failed', {
+            message: 'insufficient funds',
+            fields: { address: '0xabc', category: 'funds' }
+        });
+
+        assert.deepEqual(paths(), ['bot123456:telegram-test-token', 'discord', 'webhook']);
+        const body = (prefix) => sink.requests.find(request => request.path.startsWith(prefix)).body;
+
+        const webhook = body('/webhook');
+        assert.equal(webhook.event, 'wallet_failed');
+        assert.equal(webhook.severity, 'error');
+        assert.deepEqual(webhook.fields, { address: '0xabc', category: 'funds' });
+
+        const [embed] = body('/discord').embeds;
+        assert.equal(embed.title, 'Wallet 1 processing failed');
+        assert.equal(embed.description, 'insufficient funds');
+        assert.deepEqual(embed.fields.map(field => field.name), ['address', 'category']);
+
+        const telegram = body('/bot');
+        assert.equal(telegram.chat_id, 42);
+        assert.equal(telegram.text, 'Wallet 1 processing failed\ninsufficient funds\naddress: 0xabc\ncategory: funds');
+    });
+
+    it('only sends notifications at or above each channel severity', async () => {
+        const notifier = createNotifier([
+            { type: 'webhook', url: `${sink.url}/info`, min_severity: 'info' },
+            { type: 'webhook', url: `${sink.url}/warning` },
+            { type: 'webhook', url: `${sink.url}/error`, min_severity: 'error' }
+        ]);
+
+        await notifier.notify('cycle_completed', 'info', 'Cycle completed');
+        await notifier.notify('low_balance', 'warning', 'Wallet 1 is low on CBTC');
+        await notifier.notify('fatal', 'error', 'Fatal error in main process');
+
+        assert.deepEqual(paths(), ['error', 'info', 'info', 'info', 'warning', 'warning']);
+    });
+
+    it('rate limits each channel and reports suppressed notifications', async () => {
+        const notifier = createNotifier([
+            { type: 'webhook', url: `${sink.url}/limited`, rate_limit: { max_messages: 2, window_seconds: 0.2 } }
+        ]);
+
+        for (let i = 0; i < 5; i++) {
+            await notifier.notify('wallet_failed', 'error', `Wallet ${i + 1} processing failed`);
+        }
+        assert.equal(sink.requests.length, 2);
+
+        await new Promise(resolve => setTimeout(resolve, 250));
+        await notifier.notify('fatal', 'error', 'Fatal error in main process');
+
+        assert.equal(sink.requests.length, 3);
+        assert.equal(sink.requests[2].body.fields.suppressed, 3);
+    });
+
+    it('keeps going when a channel cannot be reached', async () => {
+        const warnings = [];
+        const notifier = new Notifier({
+            channels: [
+                { type: 'webhook', url: 'http://127.0.0.1:1/unreachable' },
+                { type: 'discord', webhook_url_env: 'TEST_UNSET_WEBHOOK_URL' },
+                { type: 'webhook', url: `${sink.url}/webhook` }
+            ]
+        }, { logger: { ...silentLogger, warn: (message) => warnings.push(message) } });
+
+        await notifier.notify('fatal', 'error', 'Fatal error in main process');
+
+        assert.deepEqual(paths(), ['webhook']);
+        assert.deepEqual(warnings.sort(), ['Failed to send notification', 'Notification channel is not configured, skipping']);
+    });
+});
@@ -0,0 +1,119 @@
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { RpcPool } = require('../src/lib/rpc');
+const { CHAIN_ID, startStubRpc } = require('./helpers/chain');
+
+function createLogger() {
+    const entries = [];
+    const log = level => (message, meta = {}) => entries.push({ level, message, ...meta });
+    return { entries, info: log('info'), warn: log('warn'), error: log('error') };
+}
+
+// RPC endpoint pool against local JSON-RPC stand-ins
+describe('RPC pool', () => {
+    const nodes = [];
+
+    const startNodes = async (...states) => {
+        const started = await Promise.all(states.map(state => startStubRpc(state)));
+        nodes.push(...started);
+        return started;
+    };
+
+    const createPool = (urls, settings = {}) => {
+        const logger = createLogger();
+        const network = { name: 'local', chainId: CHAIN_ID, rpcUrls: urls };
+        const pool = new RpcPool(network, { max_requests_per_second: 0, health_check_interval_seconds: 3600, ...settings }, { logger });
+        return { pool, logger };
+    };
+
+    after(async () => {
+        await Promise.all(nodes.map(node => node.close()));
+    });
+
+    it('fails over to the next endpoint on network errors and back once it recovers', async () => {
+        const [primary, backup] = await startNodes({ blockNumber: 100 }, { blockNumber: 101 });
+        const { pool, logger } = createPool([primary.url, backup.url]);
+
+        assert.equal(Number(await pool.send('eth_blockNumber', [])), 100);
+
+        primary.state.down = true;
+        assert.equal(Number(await pool.send('eth_blockNumber', [])), 101);
+        const failover = logger.entries.find(entry => entry.message === 'RPC failover');
+        assert.equal(failover.level, 'warn');
+        assert.equal(failover.from, primary.url);
+        assert.equal(failover.rpc, backup.url);
+        assert.match(failover.reason, /HTTP 503/);
+
+        // The failed endpoint is skipped until a health check finds it working again
+        const primaryRequests = primary.requests.length;
+        await pool.send('eth_blockNumber', []);
+        assert.equal(primary.requests.length, primaryRequests);
+
+        primary.state.down = false;
+        await pool.checkHealth();
+        assert.equal(Number(await pool.send('eth_blockNumber', [])), 100);
+        assert.ok(logger.entries.some(entry => entry.message === 'Switched back to RPC endpoint' && entry.rpc === primary.url));
+
+        // Errors returned by the node are not a reason to fail over
+        const backupRequests = backup.requests.length;
+        await assert.rejects(pool.send('eth_unknownMethod', []), /not supported/);
+        assert.equal(backup.requests.length, backupRequests);
+    });
+
+    it('marks lagging, slow and wrong-chain endpoints unhealthy', async () => {
+        const [good, lagging, foreign, slow] = await startNodes(
+            { blockNumber: 100 },
+            { blockNumber: 90 },
+            { chainId: 1, blockNumber: 100 },
+            { blockNumber: 100, delay: 300 }
+        );
+        const { pool } = createPool([lagging.url, foreign.url, slow.url, good.url], { max_latency_ms: 200 });
+
+        const status = await pool.checkHealth();
+        assert.deepEqual(status.map(({ healthy, reason }) => ({ healthy, reason: reason && reason.replace(/\d+ms/, 'Nms') })), [
+            { healthy: false, reason: '10 blocks behind' },
+            { healthy: false, reason: `serves chain 1, expected ${CHAIN_ID}` },
+            { healthy: false, reason: 'answered in Nms' },
+            { healthy: true, reason: null }
+        ]);
+        assert.equal(Number(await pool.send('eth_blockNumber', [])), 100);
+        assert.equal(good.requests.filter(request => request.method === 'eth_blockNumber').length, 2);
+
+        // With the healthy endpoint down, lagging and slow endpoints are the last resort
+        good.state.down = true;
+        assert.equal(Number(await pool.send('eth_blockNumber', [])), 90);
+    });
+
+    it('never sends requests to an endpoint of another chain', async () => {
+        const [good, foreign] = await startNodes({ blockNumber: 100 }, { chainId: 1, blockNumber: 200 });
+        const { pool } = createPool([good.url, foreign.url]);
+        await pool.checkHealth();
+        const checked = foreign.requests.length;
+
+        good.state.down = true;
+        await assert.rejects(pool.send('eth_blockNumber', []), /status=503/);
+        assert.equal(foreign.requests.length, checked);
+
+        // Not even when it is the only endpoint
+        const { pool: foreignOnly } = createPool([foreign.url]);
+        await assert.rejects(foreignOnly.send('eth_blockNumber', []), new RegExp(`No RPC endpoint serves chain ${CHAIN_ID}`));
+        assert.equal(foreign.requests.length, checked + 2);
+
+        // Until a health check finds it on the right chain
+        foreign.state.chainId = CHAIN_ID;
+        await pool.checkHealth();
+        assert.equal(Number(await pool.send('eth_blockNumber', [])), 200);
+    });
+
+    it('limits the request rate per endpoint', async () => {
+        const [node] = await startNodes({});
+        const { pool } = createPool([node.url], { max_requests_per_second: 20 });
+
+        // The health check sends two requests before the five below, so the last
+        // one leaves 6 x 50ms after the first
+        const started = Date.now();
+        await Promise.all(Array.from({ length: 5 }, () => pool.send('eth_blockNumber', [])));
+        assert.equal(node.requests.length, 7);
+        assert.ok(Date.now() - started >= 300, `took ${Date.now() - started}ms`);
+    });
+});
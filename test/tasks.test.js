@@ -0,0 +1,124 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { TaskRegistry, BUILTIN_TASKS, loadTasks, drawRuns, planTasks, getBudget, limitSteps } = require('../src/lib/tasks');
+const { generateDefaultConfig, resolveConfig } = require('../src/lib/config');
+
+const contractTypes = ['ERC20', 'SimpleStorage'];
+
+const USER_TASK = `module.exports = {
+    name: 'ping',
+    gas: 50000,
+    schema: ({ object, repeatTimes, string }) => object({
+        repeat_times: repeatTimes(2, 2),
+        target: string({ default: 'self' })
+    }),
+    plan: ({ runs }) => Array.from({ length: runs }, (_, i) => ({ key: 'ping:' + i, iteration: i })),
+    execute: async (bot, { step }) => bot.ping(step.iteration)
+};
+`;
+
+describe('Task registry', () => {
+    let dir;
+
+    before(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'citrea-tasks-'));
+        fs.writeFileSync(path.join(dir, 'ping.js'), USER_TASK);
+        fs.writeFileSync(path.join(dir, 'notes.txt'), 'not a task module');
+    });
+
+    after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    it('loads the built-in tasks followed by user task modules', () => {
+        const registry = loadTasks({ dir });
+        assert.deepEqual(registry.list().map(task => task.name), ['self_transfer', 'contract_deploy', 'contract_interact', 'swap', 'wrap', 'unwrap', 'ping']);
+
+        // User tasks get a config block with the defaults of their schema, disabled
+        const config = generateDefaultConfig({ contractTypes, tasks: registry });
+        assert.deepEqual(config.tasks.ping, { enabled: false, settings: { repeat_times: { min: 2, max: 2 }, target: 'self' } });
+        assert.equal(config.tasks.swap.enabled, true);
+        assert.deepEqual(resolveConfig(config, { contractTypes, tasks: registry }).problems, []);
+    });
+
+    it('rejects task modules that do not implement the interface', () => {
+        assert.throws(() => new TaskRegistry([{ name: 'Bad Name', plan() {} }]),
+            /must export a snake_case name, schema\(\), execute\(\)/);
+        assert.throws(() => new TaskRegistry([...BUILTIN_TASKS, { ...BUILTIN_TASKS[0] }]), /redefines the "self_transfer" task/);
+    });
+
+    it('draws repeat_times from the whole range', () => {
+        const drawn = new Set(Array.from({ length: 200 }, () => drawRuns({ min: 2, max: 5 })));
+        assert.deepEqual([...drawn].sort(), [2, 3, 4, 5]);
+
+        // Seeded draws repeat, so a resumed cycle plans the same runs
+        assert.equal(drawRuns({ min: 1, max: 100 }, 'cycle:wallet:swap'), drawRuns({ min: 1, max: 100 }, 'cycle:wallet:swap'));
+    });
+
+    it('runs the enabled tasks in the configured order, fixed or shuffled', () => {
+        const registry = new TaskRegistry(BUILTIN_TASKS);
+        const config = generateDefaultConfig({ contractTypes, tasks: registry });
+        Object.values(config.tasks).forEach(task => {
+            task.enabled = true;
+            task.settings.repeat_times = { min: 1, max: 1 };
+        });
+        const names = (plans) => plans.map(({ task }) => task.name);
+
+        // Fixed follows the "tasks" block
+        config.tasks = { swap: config.tasks.swap, self_transfer: config.tasks.self_transfer, contract_deploy: config.tasks.contract_deploy };
+        assert.deepEqual(names(planTasks(registry, config)), ['swap', 'self_transfer', 'contract_deploy']);
+
+        // Shuffled differs between wallets but not between runs of the same wallet
+        config.task_order = 'shuffled';
+        const orders = new Set(Array.from({ length: 20 }, (_, i) => names(planTasks(registry, config, {}, { seed: `cycle:${i}` })).join()));
+        assert.ok(orders.size > 1);
+        assert.deepEqual(names(planTasks(registry, config, {}, { seed: 'cycle:0' })), names(planTasks(registry, config, {}, { seed: 'cycle:0' })));
+    });
+
+    it('budgets steps per name and keeps the affordable ones', () => {
+        const registry = loadTasks({ dir });
+        const config = generateDefaultConfig({ contractTypes, tasks: registry });
+        config.tasks.swap.settings.repeat_times = { min: 3, max: 3 };
+        config.tasks.swap.settings.routes.push({ path: ['USDC', 'WCBTC', 'DAI'] }, { from: 'DAI', to: 'USDC', enabled: false });
+        config.tasks.ping.enabled = true;
+
+        const plans = planTasks(registry, config);
+        const budget = getBudget(plans);
+        assert.deepEqual(budget.map(({ name, task, runs, txs, gas }) => ({ name, task, runs, txs, gas })), [
+            { name: 'cbtc_to_usdc', task: 'swap', runs: 3, txs: 1, gas: undefined },
+            { name: 'usdc_to_cbtc', task: 'swap', runs: 3, txs: 2, gas: undefined },
+            { name: 'usdc_to_wcbtc_to_dai', task: 'swap', runs: 3, txs: 2, gas: undefined },
+            { name: 'ping', task: 'ping', runs: 2, txs: 1, gas: 50000 }
+        ]);
+        assert.ok(budget[0].value.gt(0));
+
+        const [swap, ping] = limitSteps(plans, { cbtc_to_usdc: 3, usdc_to_cbtc: 1, usdc_to_wcbtc_to_dai: 0, ping: 0 });
+        assert.deepEqual(swap.steps.map(step => step.key), ['swap:0:cbtc_to_usdc', 'swap:0:usdc_to_cbtc', 'swap:1:cbtc_to_usdc', 'swap:2:cbtc_to_usdc']);
+        assert.deepEqual(ping.steps, []);
+    });
+
+    it('points the swap settings of older configs to routes', () => {
+        const registry = new TaskRegistry(BUILTIN_TASKS);
+        const config = generateDefaultConfig({ contractTypes, tasks: registry });
+        config.tasks.swap.settings.cbtc_to_usdc = { enabled: true, amount: { min: 0.0001, max: 0.0002 }, decimals: 6 };
+
+        assert.deepEqual(resolveConfig(config, { contractTypes, tasks: registry }).problems, [
+            'tasks.swap.settings.cbtc_to_usdc: no longer supported, move it into routes as { "from": "CBTC", "to": "USDC" } ' +
+                'with the same enabled, amount and decimals'
+        ]);
+    });
+
+    it('budgets CBTC amounts below one millionth', () => {
+        const registry = new TaskRegistry(BUILTIN_TASKS);
+        const config = generateDefaultConfig({ contractTypes, tasks: registry });
+        config.tasks.swap.settings.routes = [{ from: 'CBTC', to: 'USDC', amount: { min: 0.0000001, max: 0.0000005 }, decimals: 7 }];
+        config.tasks.wrap.enabled = true;
+        config.tasks.wrap.settings.amount = { min: 0.0000001, max: 0.0000005, decimals: 7 };
+        assert.deepEqual(resolveConfig(config, { contractTypes }).problems, []);
+
+        const budget = getBudget(planTasks(registry, config));
+        assert.equal(budget.find(entry => entry.name === 'cbtc_to_usdc').value.toString(), '500000000000');
+        assert.equal(budget.find(entry => entry.name === 'wrap').value.toString(), '500000000000');
+    });
+});
@@ -0,0 +1,95 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ethers } = require('ethers');
+const { TemplateDependencyError, generateTokenSymbol, loadTemplates, generateConstructorArgs } = require('../src/lib/templates');
+
+const WALLET = '0x1111111111111111111111111111111111111111';
+
+describe('Contract templates', () => {
+    let dir;
+
+    const write = (file, content) => {
+        fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true });
+        fs.writeFileSync(path.join(dir, file), typeof content === 'string' ? content : JSON.stringify(content));
+    };
+
+    before(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'citrea-templates-'));
+        write('Token.sol', 'contract Token {}');
+        write('Token.template.json', {
+            contract: 'Token',
+            source: 'Token.sol',
+            constructor_args: [
+                { name: 'name', generator: 'random_name' },
+                { name: 'symbol', generator: 'random_symbol', from: 'name' },
+                { name: 'supply', generator: 'random_range', setting: 'token_supply', decimals: 2, units: 18 }
+            ]
+        });
+        // Multi-file template in a subdirectory
+        write('market/Market.sol', 'import "./lib/Base.sol"; contract Market {}');
+        write('market/lib/Base.sol', 'contract Base {}');
+        write('market/Market.template.json', {
+            contract: 'Market',
+            source: 'Market.sol',
+            constructor_args: [
+                { name: 'owner', generator: 'wallet_address' },
+                { name: 'token', generator: 'deployed_address', template: 'Token' },
+                { name: 'fee', generator: 'random_range', min: 5, max: 5 }
+            ]
+        });
+    });
+
+    after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    it('discovers templates from their manifests', () => {
+        const templates = loadTemplates({ dir });
+        assert.deepEqual(Object.keys(templates), ['Market', 'Token']);
+        assert.equal(templates.Market.name, 'Market');
+        assert.equal(templates.Market.source, 'market/Market.sol');
+        assert.deepEqual(templates.Token.params.map(param => param.generator), ['random_name', 'random_symbol', 'random_range']);
+    });
+
+    it('generates constructor arguments', () => {
+        const templates = loadTemplates({ dir });
+
+        const { args, values } = generateConstructorArgs(templates.Token, { settings: { token_supply: { min: 10, max: 20 } } });
+        assert.match(args[0], /^\w+ \w+$/);
+        assert.equal(args[1], generateTokenSymbol(args[0]));
+        assert.ok(values.supply >= 10 && values.supply <= 20);
+        assert.equal(args[2].toString(), ethers.utils.parseEther(String(values.supply)).toString());
+
+        // The latest contract of the type the wallet deployed
+        const deployed = type => (type === 'Token' ? [{ address: '0xaaa' }, { address: '0xbbb' }] : []);
+        const market = generateConstructorArgs(templates.Market, { address: WALLET, deployed });
+        assert.deepEqual(market.args.map(String), [WALLET, '0xbbb', '5']);
+
+        assert.throws(() => generateConstructorArgs(templates.Market, { address: WALLET }), TemplateDependencyError);
+        assert.throws(() => generateConstructorArgs(templates.Market), /needs the deploying wallet/);
+    });
+
+    it('rejects invalid manifests', () => {
+        const invalid = (manifest, pattern) => {
+            const bad = fs.mkdtempSync(path.join(os.tmpdir(), 'citrea-templates-'));
+            fs.writeFileSync(path.join(bad, 'Token.sol'), 'contract Token {}');
+            fs.writeFileSync(path.join(bad, 'Bad.template.json'), JSON.stringify(manifest));
+            try {
+                assert.throws(() => loadTemplates({ dir: bad }), pattern);
+            } finally {
+                fs.rmSync(bad, { recursive: true, force: true });
+            }
+        };
+
+        invalid({ source: 'Missing.sol' }, /"contract" is required, source Missing.sol not found/);
+        invalid({ contract: 'Token', source: 'Token.sol', constructor_args: [{ name: 'x', generator: 'random_color' }] },
+            /"x" needs a generator, one of random_name, random_symbol/);
+        invalid({ contract: 'Token', source: 'Token.sol', constructor_args: [{ name: 'symbol', generator: 'random_symbol', from: 'name' }] },
+            /"from" has to name an earlier parameter/);
+        invalid({ contract: 'Token', source: 'Token.sol', constructor_args: [{ name: 'fee', generator: 'random_range', min: 1, max: 2, decimals: 2 }] },
+            /"decimals" has to be a whole number up to "units"/);
+        invalid({ contract: 'Token', source: 'Token.sol', constructor_args: [{ name: 'pool', generator: 'deployed_address', template: 'Pool' }] },
+            /needs unknown contract type "Pool"/);
+    });
+});